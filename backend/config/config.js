@@ -1,12 +1,96 @@
 require('dotenv').config();
+const path = require('path');
+
+// OIDC providers are configured as OIDC_PROVIDERS=google,local plus
+// OIDC_<NAME>_ISSUER / _CLIENT_ID / _CLIENT_SECRET / _SCOPES for each name
+const parseOidcProviders = () => {
+  const names = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return names.reduce((providers, name) => {
+    const prefix = `OIDC_${name.toUpperCase()}_`;
+    providers[name] = {
+      name,
+      issuer: process.env[`${prefix}ISSUER`],
+      clientId: process.env[`${prefix}CLIENT_ID`],
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+      scopes: process.env[`${prefix}SCOPES`] || 'openid email profile'
+    };
+    return providers;
+  }, {});
+};
 
 module.exports = {
   port: process.env.PORT || 5000,
   mongodbUri: process.env.MONGODB_URI || 'mongodb://localhost:27017/travelDB',
   jwtSecret: process.env.JWT_SECRET || 'fallback_secret_key',
+  accessTokenTtl: parseInt(process.env.ACCESS_TOKEN_TTL) || 900, // 15 minutes
+  refreshTokenTtl: parseInt(process.env.REFRESH_TOKEN_TTL) || 604800, // 7 days
+  emailVerificationTtl: parseInt(process.env.EMAIL_VERIFICATION_TTL) || 86400, // 24 hours
+  emailVerificationResendCooldown: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN) || 60,
+  passwordResetTtl: parseInt(process.env.PASSWORD_RESET_TTL) || 3600, // 1 hour
+  accountDeletionGraceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14,
+  reauthWindow: parseInt(process.env.REAUTH_WINDOW) || 600, // 10 minutes
+  twoFactorChallengeTtl: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL) || 300, // 5 minutes
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'Travel Platform',
+  loginProtection: {
+    failureWindow: parseInt(process.env.LOGIN_FAILURE_WINDOW) || 900, // 15 minutes
+    delayAfterFailures: parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES) || 3,
+    maxDelay: parseInt(process.env.LOGIN_MAX_DELAY) || 30,
+    maxAccountFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5,
+    maxIpFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+    maxChallengeFailures: parseInt(process.env.LOGIN_MAX_CHALLENGE_FAILURES) || 3, // wrong 2FA codes per challenge
+    lockoutDuration: parseInt(process.env.LOGIN_LOCKOUT_DURATION) || 900 // 15 minutes
+  },
+  registrationThrottle: {
+    maxPerIp: parseInt(process.env.REGISTRATION_MAX_PER_IP) || 5,
+    window: parseInt(process.env.REGISTRATION_WINDOW) || 3600 // 1 hour
+  },
+  passwordResetThrottle: {
+    maxPerIp: parseInt(process.env.PASSWORD_RESET_MAX_PER_IP) || 10,
+    maxPerEmail: parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL) || 3,
+    window: parseInt(process.env.PASSWORD_RESET_WINDOW) || 3600 // 1 hour
+  },
+  invitations: {
+    inviteOnly: process.env.INVITE_ONLY === 'true', // registration requires an invitation code
+    maxUsesPerCode: parseInt(process.env.INVITATION_MAX_USES) || 100,
+    maxActivePerUser: parseInt(process.env.INVITATION_MAX_ACTIVE_PER_USER) || 10,
+    defaultTtlDays: parseInt(process.env.INVITATION_DEFAULT_TTL_DAYS) || 30
+  },
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
   openrouterApiKey: process.env.OPENROUTER_API_KEY,
   redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
   nodeEnv: process.env.NODE_ENV || 'development',
+  oidc: {
+    redirectBaseUrl: process.env.OIDC_REDIRECT_BASE_URL || 'http://localhost:5000/api/users/oidc',
+    providers: parseOidcProviders()
+  },
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'outbox',
+    from: process.env.MAIL_FROM || 'Travel Platform <no-reply@travel-platform.local>',
+    outboxDir: process.env.MAIL_OUTBOX_DIR,
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    }
+  },
+  digest: {
+    batchSize: parseInt(process.env.DIGEST_BATCH_SIZE) || 200,
+    unsubscribeTokenTtl: parseInt(process.env.DIGEST_UNSUBSCRIBE_TOKEN_TTL) || 90 * 24 * 60 * 60 // 90 days
+  },
+  apiUrl: process.env.API_URL || 'http://localhost:5000',
+  uploads: {
+    storage: process.env.UPLOAD_STORAGE || 'local', // 'local' or 'cloudinary'
+    localDir: process.env.UPLOAD_LOCAL_DIR || path.join(__dirname, '..', 'uploads'),
+    publicUrl: process.env.UPLOAD_PUBLIC_URL || 'http://localhost:5000/uploads',
+    maxFileSize: parseInt(process.env.UPLOAD_MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5 MB
+    maxFilesPerRequest: parseInt(process.env.UPLOAD_MAX_FILES) || 10
+  },
   cloudinary: {
     cloudName: process.env.CLOUDINARY_CLOUD_NAME,
     apiKey: process.env.CLOUDINARY_API_KEY,
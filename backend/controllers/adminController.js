@@ -0,0 +1,230 @@
+const adminService = require('../services/adminService');
+const journeyService = require('../services/journeyService');
+const chatService = require('../services/chatService');
+const Logger = require('../utils/logger');
+
+const parseBooleanQuery = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+};
+
+class AdminController {
+  // List and search users
+  async listUsers(req, res, next) {
+    try {
+      const { q, role, suspended, verified, page = 1, limit = 20 } = req.query;
+
+      const result = await adminService.listUsers(
+        {
+          q: q && q.trim(),
+          role,
+          suspended: parseBooleanQuery(suspended),
+          verified: parseBooleanQuery(verified)
+        },
+        parseInt(page),
+        Math.min(parseInt(limit), 100)
+      );
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      Logger.error('Admin user listing failed', {
+        adminId: req.user?.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+
+  // Suspend a user account
+  async suspendUser(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const { reason } = req.body;
+      const adminId = req.user.userId;
+
+      const result = await adminService.setUserSuspended(adminId, userId, true, reason);
+
+      Logger.info('User suspended by admin', { adminId, userId, reason });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to suspend user', {
+        userId: req.params.userId,
+        adminId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Cannot change suspension status of your own account') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Lift a suspension
+  async unsuspendUser(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const adminId = req.user.userId;
+
+      const result = await adminService.setUserSuspended(adminId, userId, false);
+
+      Logger.info('User unsuspended by admin', { adminId, userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to unsuspend user', {
+        userId: req.params.userId,
+        adminId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Cannot change suspension status of your own account') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Force-delete any journey
+  async deleteJourney(req, res, next) {
+    try {
+      const { journeyId } = req.params;
+      const adminId = req.user.userId;
+
+      const result = await journeyService.deleteJourney(journeyId, adminId, { force: true });
+
+      Logger.info('Journey force-deleted by admin', { adminId, journeyId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Admin failed to delete journey', {
+        journeyId: req.params.journeyId,
+        adminId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'Journey not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Force-delete any message
+  async deleteMessage(req, res, next) {
+    try {
+      const { messageId } = req.params;
+      const adminId = req.user.userId;
+
+      const result = await chatService.forceDeleteMessage(messageId);
+
+      Logger.info('Message force-deleted by admin', { adminId, messageId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Admin failed to delete message', {
+        messageId: req.params.messageId,
+        adminId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'Message not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Invitation code usage: totals, top inviters and a page of codes
+  async getInvitationReport(req, res, next) {
+    try {
+      const { status, createdBy, page = 1, limit = 20 } = req.query;
+
+      if (status && !['active', 'expired', 'used_up', 'revoked'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'status must be one of active, expired, used_up, revoked'
+        });
+      }
+
+      const result = await adminService.getInvitationReport(
+        { status, createdBy },
+        parseInt(page),
+        Math.min(parseInt(limit), 100)
+      );
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get invitation report', {
+        adminId: req.user?.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+
+  // Platform totals
+  async getPlatformStats(req, res, next) {
+    try {
+      const stats = await adminService.getPlatformStats();
+
+      res.json({
+        success: true,
+        stats
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get platform stats', {
+        adminId: req.user?.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+}
+
+module.exports = new AdminController();
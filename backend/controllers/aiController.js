@@ -85,20 +85,22 @@ class AIController {
   // Get destination recommendations
   async getDestinationRecommendations(req, res, next) {
     try {
-      const { preferences, budget, travelDates } = req.body;
+      const { preferences = {}, budget, travelDates } = req.body;
       const userId = req.user?.userId;
 
-      if (!preferences || Object.keys(preferences).length === 0) {
+      // Missing preferences are filled in from the user's travel profile
+      if (typeof preferences !== 'object' || Array.isArray(preferences)) {
         return res.status(400).json({
           success: false,
-          message: 'Travel preferences are required'
+          message: 'Travel preferences must be an object'
         });
       }
 
       const recommendations = await aiService.getDestinationRecommendations(
         preferences, 
         budget, 
-        travelDates
+        travelDates,
+        userId
       );
 
       Logger.info('Destination recommendations generated', { 
@@ -120,6 +122,14 @@ class AIController {
         userId: req.user?.userId, 
         error: error.message 
       });
+
+      if (error.message === 'Travel preferences are required') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       next(error);
     }
   }
@@ -127,7 +137,7 @@ class AIController {
   // Get itinerary suggestions
   async getItinerarySuggestions(req, res, next) {
     try {
-      const { destination, duration, interests, budget } = req.body;
+      const { destination, duration, interests = [], budget } = req.body;
       const userId = req.user?.userId;
 
       // Validation
@@ -145,10 +155,11 @@ class AIController {
         });
       }
 
-      if (!interests || !Array.isArray(interests) || interests.length === 0) {
+      // Interests default to the user's travel profile when none are given
+      if (!Array.isArray(interests)) {
         return res.status(400).json({
           success: false,
-          message: 'At least one interest is required'
+          message: 'Interests must be an array'
         });
       }
 
@@ -156,7 +167,8 @@ class AIController {
         destination.trim(), 
         duration, 
         interests, 
-        budget
+        budget,
+        userId
       );
 
       Logger.info('Itinerary suggestions generated', { 
@@ -182,6 +194,14 @@ class AIController {
         userId: req.user?.userId, 
         error: error.message 
       });
+
+      if (error.message === 'At least one interest is required') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       next(error);
     }
   }
@@ -0,0 +1,162 @@
+const blockService = require('../services/blockService');
+const Logger = require('../utils/logger');
+
+class BlockController {
+  // List users blocked by the current user
+  async getBlockedUsers(req, res, next) {
+    try {
+      const blockedUsers = await blockService.getList(req.user.userId, 'block');
+
+      res.json({
+        success: true,
+        blockedUsers
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get blocked users', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+
+  // List users muted by the current user
+  async getMutedUsers(req, res, next) {
+    try {
+      const mutedUsers = await blockService.getList(req.user.userId, 'mute');
+
+      res.json({
+        success: true,
+        mutedUsers
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get muted users', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+
+  // Block :userId
+  async blockUser(req, res, next) {
+    try {
+      const { userId: targetId } = req.params;
+      const userId = req.user.userId;
+
+      const result = await blockService.blockUser(userId, targetId);
+
+      Logger.info('User blocked', { userId, targetId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to block user', {
+        targetId: req.params.userId,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Cannot block yourself') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Unblock :userId
+  async unblockUser(req, res, next) {
+    try {
+      const { userId: targetId } = req.params;
+      const userId = req.user.userId;
+
+      const result = await blockService.unblockUser(userId, targetId);
+
+      Logger.info('User unblocked', { userId, targetId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to unblock user', {
+        targetId: req.params.userId,
+        userId: req.user?.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+
+  // Mute :userId
+  async muteUser(req, res, next) {
+    try {
+      const { userId: targetId } = req.params;
+      const userId = req.user.userId;
+
+      const result = await blockService.muteUser(userId, targetId);
+
+      Logger.info('User muted', { userId, targetId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to mute user', {
+        targetId: req.params.userId,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Cannot mute yourself') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Unmute :userId
+  async unmuteUser(req, res, next) {
+    try {
+      const { userId: targetId } = req.params;
+      const userId = req.user.userId;
+
+      const result = await blockService.unmuteUser(userId, targetId);
+
+      Logger.info('User unmuted', { userId, targetId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to unmute user', {
+        targetId: req.params.userId,
+        userId: req.user?.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+}
+
+module.exports = new BlockController();
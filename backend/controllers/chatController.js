@@ -23,7 +23,8 @@ class ChatController {
       const result = await chatService.getChatHistory(
         roomId, 
         parseInt(page), 
-        parseInt(limit)
+        parseInt(limit),
+        userId
       );
 
       res.json({
@@ -544,6 +545,21 @@ class ChatController {
         userId: req.user?.userId, 
         error: error.message 
       });
+
+      if (error.message === 'Journey not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'You cannot message this user') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       next(error);
     }
   }
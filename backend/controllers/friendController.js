@@ -0,0 +1,248 @@
+const friendService = require('../services/friendService');
+const userService = require('../services/userService');
+const Logger = require('../utils/logger');
+
+class FriendController {
+  // List a user's friends
+  async getFriends(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const viewerId = req.user.userId;
+      const { page = 1, limit = 20 } = req.query;
+
+      await userService.assertCanViewProfile(userId, viewerId);
+
+      const result = await friendService.getFriends(userId, parseInt(page), parseInt(limit));
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get friends', {
+        userId: req.params.userId,
+        viewerId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Access denied to this profile') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // List pending friend requests (own account only)
+  async getFriendRequests(req, res, next) {
+    try {
+      const { userId } = req.params;
+
+      if (userId !== req.user.userId) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view your own friend requests'
+        });
+      }
+
+      const requests = await friendService.getFriendRequests(userId);
+
+      res.json({
+        success: true,
+        ...requests
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get friend requests', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+
+  // Send a friend request to :userId
+  async sendFriendRequest(req, res, next) {
+    try {
+      const { userId: recipientId } = req.params;
+      const requesterId = req.user.userId;
+
+      const result = await friendService.sendFriendRequest(requesterId, recipientId);
+
+      Logger.info('Friend request sent', { requesterId, recipientId });
+
+      res.status(201).json(result);
+
+    } catch (error) {
+      Logger.error('Failed to send friend request', {
+        recipientId: req.params.userId,
+        requesterId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Cannot send a friend request to yourself') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'You are already friends with this user') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Friend request already sent') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Cannot send a friend request to this user') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Accept a friend request from :userId
+  async acceptFriendRequest(req, res, next) {
+    try {
+      const { userId: requesterId } = req.params;
+      const userId = req.user.userId;
+
+      const result = await friendService.acceptFriendRequest(userId, requesterId);
+
+      Logger.info('Friend request accepted', { userId, requesterId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to accept friend request', {
+        requesterId: req.params.userId,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'Friend request not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Decline a friend request from :userId
+  async declineFriendRequest(req, res, next) {
+    try {
+      const { userId: requesterId } = req.params;
+      const userId = req.user.userId;
+
+      const result = await friendService.declineFriendRequest(userId, requesterId);
+
+      Logger.info('Friend request declined', { userId, requesterId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to decline friend request', {
+        requesterId: req.params.userId,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'Friend request not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Remove :userId from friends (or cancel a sent request)
+  async removeFriend(req, res, next) {
+    try {
+      const { userId: friendId } = req.params;
+      const userId = req.user.userId;
+
+      const result = await friendService.removeFriend(userId, friendId);
+
+      Logger.info('Friendship removed', { userId, friendId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to remove friend', {
+        friendId: req.params.userId,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'Friendship not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Friends shared between the current user and :userId
+  async getMutualFriends(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const viewerId = req.user.userId;
+
+      const mutualFriends = await friendService.getMutualFriends(viewerId, userId);
+
+      res.json({
+        success: true,
+        mutualFriends,
+        count: mutualFriends.length
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get mutual friends', {
+        userId: req.params.userId,
+        viewerId: req.user?.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+}
+
+module.exports = new FriendController();
@@ -0,0 +1,117 @@
+const invitationService = require('../services/invitationService');
+const { invitations: invitationConfig } = require('../config/config');
+const Logger = require('../utils/logger');
+
+class InvitationController {
+  // List the current user's invitation codes and who joined through them
+  async getInvitations(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const result = await invitationService.listInvitations(userId);
+
+      res.json({
+        success: true,
+        inviteOnly: invitationService.inviteOnly,
+        ...result
+      });
+
+    } catch (error) {
+      Logger.error('Failed to list invitations', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+
+  // Create an invitation code
+  async createInvitation(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const { maxUses = 1, expiresInDays, note } = req.body;
+
+      if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > invitationConfig.maxUsesPerCode) {
+        return res.status(400).json({
+          success: false,
+          message: `maxUses must be a whole number between 1 and ${invitationConfig.maxUsesPerCode}`
+        });
+      }
+
+      if (expiresInDays !== undefined && expiresInDays !== null &&
+          (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365)) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresInDays must be a whole number between 1 and 365'
+        });
+      }
+
+      if (note !== undefined && (typeof note !== 'string' || note.trim().length > 100)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Note cannot exceed 100 characters'
+        });
+      }
+
+      const result = await invitationService.createInvitation(userId, {
+        maxUses,
+        expiresInDays,
+        note: note && note.trim()
+      });
+
+      Logger.info('Invitation created', {
+        userId,
+        invitationId: result.invitation._id,
+        maxUses
+      });
+
+      res.status(201).json(result);
+
+    } catch (error) {
+      Logger.error('Failed to create invitation', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message.startsWith('You can have at most')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Revoke a code so it can no longer be used
+  async revokeInvitation(req, res, next) {
+    try {
+      const { invitationId } = req.params;
+      const userId = req.user.userId;
+
+      const result = await invitationService.revokeInvitation(userId, invitationId);
+
+      Logger.info('Invitation revoked', { userId, invitationId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to revoke invitation', {
+        userId: req.user?.userId,
+        invitationId: req.params.invitationId,
+        error: error.message
+      });
+
+      if (error.message === 'Invitation not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+}
+
+module.exports = new InvitationController();
@@ -1,7 +1,17 @@
 const journeyService = require('../services/journeyService');
 const userService = require('../services/userService');
+const { isValidCoordinates, isValidGeoPoint, parseBoundingBox } = require('../utils/geoUtils');
 const Logger = require('../utils/logger');
 
+const MAX_ITINERARY_DAY = 365;
+const DEFAULT_NEARBY_RADIUS_KM = 25;
+const MAX_NEARBY_RADIUS_KM = 500;
+const MAX_MAP_ZOOM = 20;
+
+// Destinations take a GeoJSON point or { latitude, longitude }
+const isValidDestinationCoordinates = (coordinates) => isValidGeoPoint(coordinates) || isValidCoordinates(coordinates);
+const COORDINATES_MESSAGE = 'Coordinates must be a GeoJSON point or { latitude, longitude } within valid ranges';
+
 class JourneyController {
   // Create new journey
   async createJourney(req, res, next) {
@@ -141,6 +151,13 @@ class JourneyController {
         });
       }
 
+      if (['Itinerary days must be unique', 'Itinerary references an unknown destination'].includes(error.message)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       next(error);
     }
   }
@@ -206,7 +223,8 @@ class JourneyController {
       const result = await journeyService.getPublicJourneys(
         parseInt(page), 
         parseInt(limit), 
-        filters
+        filters,
+        req.user?.userId
       );
 
       res.json({
@@ -353,6 +371,370 @@ class JourneyController {
         });
       }
 
+      if (error.message === 'Cannot add this user as a collaborator') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Add a destination to a journey
+  async addDestination(req, res, next) {
+    try {
+      const { journeyId } = req.params;
+      const userId = req.user.userId;
+      const { position, ...destinationData } = req.body;
+
+      if (!destinationData.name || !String(destinationData.name).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Destination name is required'
+        });
+      }
+
+      if (destinationData.coordinates && !isValidDestinationCoordinates(destinationData.coordinates)) {
+        return res.status(400).json({
+          success: false,
+          message: COORDINATES_MESSAGE
+        });
+      }
+
+      const result = await journeyService.addDestination(journeyId, destinationData, userId, position);
+
+      Logger.info('Destination added to journey', {
+        journeyId,
+        userId,
+        destinationId: result.destination._id
+      });
+
+      res.status(201).json(result);
+
+    } catch (error) {
+      Logger.error('Failed to add destination', {
+        journeyId: req.params.journeyId,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'Journey not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Access denied to edit this journey') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.startsWith('A journey can have at most')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Update fields of one destination
+  async updateDestination(req, res, next) {
+    try {
+      const { journeyId, destinationId } = req.params;
+      const userId = req.user.userId;
+
+      if (req.body.name !== undefined && !String(req.body.name).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Destination name cannot be empty'
+        });
+      }
+
+      if (req.body.coordinates && !isValidDestinationCoordinates(req.body.coordinates)) {
+        return res.status(400).json({
+          success: false,
+          message: COORDINATES_MESSAGE
+        });
+      }
+
+      const result = await journeyService.updateDestination(journeyId, destinationId, req.body, userId);
+
+      Logger.info('Destination updated', { journeyId, destinationId, userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to update destination', {
+        journeyId: req.params.journeyId,
+        destinationId: req.params.destinationId,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (['Journey not found', 'Destination not found'].includes(error.message)) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Access denied to edit this journey') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Remove a destination and its itinerary references
+  async removeDestination(req, res, next) {
+    try {
+      const { journeyId, destinationId } = req.params;
+      const userId = req.user.userId;
+
+      const result = await journeyService.removeDestination(journeyId, destinationId, userId);
+
+      Logger.info('Destination removed', { journeyId, destinationId, userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to remove destination', {
+        journeyId: req.params.journeyId,
+        destinationId: req.params.destinationId,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (['Journey not found', 'Destination not found'].includes(error.message)) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Access denied to edit this journey') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Reorder destinations
+  async reorderDestinations(req, res, next) {
+    try {
+      const { journeyId } = req.params;
+      const userId = req.user.userId;
+      const { destinationIds } = req.body;
+
+      if (!Array.isArray(destinationIds)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Destination IDs array is required'
+        });
+      }
+
+      const result = await journeyService.reorderDestinations(journeyId, destinationIds, userId);
+
+      Logger.info('Destinations reordered', { journeyId, userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to reorder destinations', {
+        journeyId: req.params.journeyId,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'Journey not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Access denied to edit this journey') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Destination order must list every destination exactly once') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Create or update the plan for one itinerary day
+  async setItineraryDay(req, res, next) {
+    try {
+      const { journeyId } = req.params;
+      const userId = req.user.userId;
+      const day = Number(req.params.day);
+      const { date, notes, locations } = req.body;
+
+      if (!Number.isInteger(day) || day < 1 || day > MAX_ITINERARY_DAY) {
+        return res.status(400).json({
+          success: false,
+          message: `Day must be a whole number between 1 and ${MAX_ITINERARY_DAY}`
+        });
+      }
+
+      if (locations !== undefined && !Array.isArray(locations)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Locations must be an array of destination IDs'
+        });
+      }
+
+      const result = await journeyService.setItineraryDay(journeyId, day, { date, notes, locations }, userId);
+
+      Logger.info('Itinerary day saved', { journeyId, day, userId, created: result.created });
+
+      res.status(result.created ? 201 : 200).json(result);
+
+    } catch (error) {
+      Logger.error('Failed to save itinerary day', {
+        journeyId: req.params.journeyId,
+        day: req.params.day,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'Journey not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Access denied to edit this journey') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Itinerary references an unknown destination') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Remove an itinerary day
+  async removeItineraryDay(req, res, next) {
+    try {
+      const { journeyId } = req.params;
+      const userId = req.user.userId;
+      const day = Number(req.params.day);
+
+      const result = await journeyService.removeItineraryDay(journeyId, day, userId);
+
+      Logger.info('Itinerary day removed', { journeyId, day, userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to remove itinerary day', {
+        journeyId: req.params.journeyId,
+        day: req.params.day,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (['Journey not found', 'Itinerary day not found'].includes(error.message)) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Access denied to edit this journey') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Move day plans between days
+  async reorderItinerary(req, res, next) {
+    try {
+      const { journeyId } = req.params;
+      const userId = req.user.userId;
+      const { days } = req.body;
+
+      if (!Array.isArray(days)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Days array is required'
+        });
+      }
+
+      const result = await journeyService.reorderItinerary(journeyId, days, userId);
+
+      Logger.info('Itinerary reordered', { journeyId, userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to reorder itinerary', {
+        journeyId: req.params.journeyId,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'Journey not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Access denied to edit this journey') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Day order must list every itinerary day exactly once') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       next(error);
     }
   }
@@ -447,6 +829,13 @@ class JourneyController {
         });
       }
 
+      if (error.message === 'You cannot comment on this journey') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       next(error);
     }
   }
@@ -480,7 +869,8 @@ class JourneyController {
         query.trim(), 
         filters, 
         parseInt(page), 
-        parseInt(limit)
+        parseInt(limit),
+        req.user?.userId
       );
 
       res.json({
@@ -498,6 +888,132 @@ class JourneyController {
     }
   }
 
+  // Public journeys near a point, nearest first
+  async getNearbyJourneys(req, res, next) {
+    try {
+      const { lat, lng, radius = DEFAULT_NEARBY_RADIUS_KM, page = 1, limit = 20 } = req.query;
+      const latitude = Number(lat);
+      const longitude = Number(lng);
+      const radiusKm = Number(radius);
+
+      if (lat === undefined || lng === undefined || !isValidCoordinates({ latitude, longitude })) {
+        return res.status(400).json({
+          success: false,
+          message: 'lat must be between -90 and 90 and lng between -180 and 180'
+        });
+      }
+
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_NEARBY_RADIUS_KM) {
+        return res.status(400).json({
+          success: false,
+          message: `radius must be greater than 0 and at most ${MAX_NEARBY_RADIUS_KM} km`
+        });
+      }
+
+      const result = await journeyService.findNearbyJourneys(
+        { latitude, longitude, radiusKm },
+        Math.max(parseInt(page) || 1, 1),
+        Math.min(Math.max(parseInt(limit) || 20, 1), 50),
+        req.user?.userId
+      );
+
+      res.json({
+        success: true,
+        center: { latitude, longitude },
+        radiusKm,
+        ...result
+      });
+
+    } catch (error) {
+      Logger.error('Nearby journey search failed', {
+        query: req.query,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+
+  // Public journeys with a destination inside a bounding box
+  async getJourneysInBounds(req, res, next) {
+    try {
+      const { bbox: bboxParam, page = 1, limit = 20 } = req.query;
+      const bbox = parseBoundingBox(bboxParam);
+
+      if (!bbox) {
+        return res.status(400).json({
+          success: false,
+          message: 'bbox must be minLng,minLat,maxLng,maxLat within valid ranges'
+        });
+      }
+
+      const result = await journeyService.findJourneysInBounds(
+        bbox,
+        Math.max(parseInt(page) || 1, 1),
+        Math.min(Math.max(parseInt(limit) || 20, 1), 50),
+        req.user?.userId
+      );
+
+      res.json({
+        success: true,
+        bbox: [bbox.minLng, bbox.minLat, bbox.maxLng, bbox.maxLat],
+        ...result
+      });
+
+    } catch (error) {
+      Logger.error('Bounding box journey search failed', {
+        query: req.query,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+
+  // Clustered public destinations for a map view
+  async getMapClusters(req, res, next) {
+    try {
+      const { bbox: bboxParam, zoom: zoomParam } = req.query;
+      const bbox = parseBoundingBox(bboxParam);
+      const zoom = zoomParam ? Number(zoomParam) : NaN;
+
+      if (!bbox) {
+        return res.status(400).json({
+          success: false,
+          message: 'bbox must be minLng,minLat,maxLng,maxLat within valid ranges'
+        });
+      }
+
+      if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_MAP_ZOOM) {
+        return res.status(400).json({
+          success: false,
+          message: `zoom must be a whole number between 0 and ${MAX_MAP_ZOOM}`
+        });
+      }
+
+      const result = await journeyService.getMapClusters(bbox, zoom, req.user?.userId);
+
+      res.json({
+        success: true,
+        bbox: [bbox.minLng, bbox.minLat, bbox.maxLng, bbox.maxLat],
+        ...result
+      });
+
+    } catch (error) {
+      Logger.error('Map clustering failed', {
+        query: req.query,
+        error: error.message
+      });
+
+      if (error.message === 'Bounding box is too large for this zoom level') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
   // Get journey statistics (for analytics)
   async getJourneyStats(req, res, next) {
     try {
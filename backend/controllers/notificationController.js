@@ -0,0 +1,95 @@
+const notificationService = require('../services/notificationService');
+const Logger = require('../utils/logger');
+
+class NotificationController {
+  // List the current user's notifications, newest first
+  async getNotifications(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+      const unreadOnly = req.query.unread === 'true';
+
+      const result = await notificationService.listNotifications(userId, page, limit, unreadOnly);
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get notifications', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+
+  // Number of unread notifications, for badges in the UI
+  async getUnreadCount(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const unreadCount = await notificationService.getUnreadCount(userId);
+
+      res.json({
+        success: true,
+        unreadCount
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get unread notification count', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+
+  async markRead(req, res, next) {
+    try {
+      const { notificationId } = req.params;
+      const userId = req.user.userId;
+
+      const result = await notificationService.markRead(userId, notificationId);
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to mark notification as read', {
+        userId: req.user?.userId,
+        notificationId: req.params.notificationId,
+        error: error.message
+      });
+
+      if (error.message === 'Notification not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  async markAllRead(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const result = await notificationService.markAllRead(userId);
+
+      Logger.info('Notifications marked as read', { userId, updated: result.updated });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to mark all notifications as read', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+}
+
+module.exports = new NotificationController();
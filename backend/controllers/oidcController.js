@@ -0,0 +1,255 @@
+const oidcService = require('../services/oidcService');
+const userService = require('../services/userService');
+const { nodeEnv } = require('../config/config');
+const Logger = require('../utils/logger');
+const { getClientInfo, getCookie } = require('../utils/requestUtils');
+
+// Ties a started login or link to the browser that started it
+const BINDING_COOKIE = 'oidc_binding';
+const BINDING_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: nodeEnv === 'production',
+  // Lax still sends it on the provider's top-level redirect back to us
+  sameSite: 'lax',
+  path: '/api/users/oidc'
+};
+
+const setBindingCookie = (res, browserBinding) => {
+  res.cookie(BINDING_COOKIE, browserBinding, {
+    ...BINDING_COOKIE_OPTIONS,
+    maxAge: oidcService.stateTtl * 1000
+  });
+};
+
+class OIDCController {
+  // List configured identity providers
+  async getProviders(req, res) {
+    res.json({
+      success: true,
+      providers: oidcService.listProviders()
+    });
+  }
+
+  // Start the authorization code flow; redirects to the provider unless ?redirect=false
+  async authorize(req, res, next) {
+    try {
+      const { provider } = req.params;
+      const { authorizationUrl, browserBinding } = await oidcService.createAuthorizationRequest(provider);
+      setBindingCookie(res, browserBinding);
+
+      if (req.query.redirect === 'false') {
+        return res.json({
+          success: true,
+          authorizationUrl
+        });
+      }
+
+      res.redirect(authorizationUrl);
+
+    } catch (error) {
+      Logger.error('Failed to start OIDC login', {
+        provider: req.params.provider,
+        error: error.message
+      });
+
+      if (error.message === 'Unknown identity provider') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Provider redirect target: completes either a login or an account link
+  async callback(req, res, next) {
+    try {
+      const { provider } = req.params;
+      const { code, state, error: providerError, error_description: providerErrorDescription } = req.query;
+
+      if (providerError) {
+        return res.status(400).json({
+          success: false,
+          message: providerErrorDescription || providerError
+        });
+      }
+
+      if (!code || !state) {
+        return res.status(400).json({
+          success: false,
+          message: 'Authorization code and state are required'
+        });
+      }
+
+      const browserBinding = getCookie(req, BINDING_COOKIE);
+      res.clearCookie(BINDING_COOKIE, BINDING_COOKIE_OPTIONS);
+
+      const { claims, linkUserId } = await oidcService.handleCallback(provider, { code, state, browserBinding });
+
+      // Links are only completed for the signed-in owner of the account they were started for
+      if (linkUserId) {
+        const callerId = req.user && req.user.type !== 'personal_access_token' ? req.user.userId : null;
+        if (callerId !== linkUserId) {
+          Logger.warn('Identity link completed by another user', { provider, linkUserId, callerId });
+          return res.status(403).json({
+            success: false,
+            message: 'Sign in to the account the provider is being linked to'
+          });
+        }
+
+        const result = await userService.linkIdentity(linkUserId, provider, claims);
+        Logger.info('Identity provider linked', { userId: linkUserId, provider });
+        return res.json(result);
+      }
+
+      const result = await userService.loginWithOidc(provider, claims, getClientInfo(req));
+
+      if (result.twoFactorRequired) {
+        Logger.info('OIDC login awaiting two-factor code', { provider });
+        return res.json(result);
+      }
+
+      Logger.info('User logged in with identity provider', {
+        userId: result.user._id,
+        username: result.user.username,
+        provider
+      });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('OIDC callback failed', {
+        provider: req.params.provider,
+        error: error.message
+      });
+
+      if (error.message === 'Unknown identity provider' || error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (['Invalid or expired login state', 'Identity provider did not share an email address'].includes(error.message)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Invalid ID token') {
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Account is suspended' || error.message === 'An invitation code is required to register') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if ([
+        'An account with this email already exists. Sign in and link the provider from your settings',
+        'Identity is already linked to your account',
+        'Identity is already linked to another account',
+        'A different account from this provider is already linked'
+      ].includes(error.message)) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if ([
+        'Failed to exchange authorization code',
+        'Identity provider did not return an ID token',
+        'Identity provider did not return a subject'
+      ].includes(error.message)) {
+        return res.status(502).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Start linking a provider to the signed-in account
+  async startLink(req, res, next) {
+    try {
+      const { provider } = req.params;
+      const userId = req.user.userId;
+
+      const { authorizationUrl, browserBinding } = await oidcService.createAuthorizationRequest(provider, {
+        linkUserId: userId
+      });
+      setBindingCookie(res, browserBinding);
+
+      res.json({
+        success: true,
+        authorizationUrl
+      });
+
+    } catch (error) {
+      Logger.error('Failed to start identity linking', {
+        provider: req.params.provider,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'Unknown identity provider') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Remove a linked provider from the signed-in account
+  async unlink(req, res, next) {
+    try {
+      const { provider } = req.params;
+      const userId = req.user.userId;
+
+      const result = await userService.unlinkIdentity(userId, provider);
+
+      Logger.info('Identity provider unlinked', { userId, provider });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to unlink identity provider', {
+        provider: req.params.provider,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'Identity provider is not linked' || error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Set a password before unlinking your only sign-in method') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+}
+
+module.exports = new OIDCController();
@@ -0,0 +1,116 @@
+const personalAccessTokenService = require('../services/personalAccessTokenService');
+const Logger = require('../utils/logger');
+
+class PersonalAccessTokenController {
+  // List the current user's tokens and the scopes that can be granted
+  async getTokens(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const tokens = await personalAccessTokenService.listTokens(userId);
+
+      res.json({
+        success: true,
+        tokens,
+        availableScopes: personalAccessTokenService.scopes
+      });
+
+    } catch (error) {
+      Logger.error('Failed to list personal access tokens', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+
+  // Create a scoped token for scripted API access
+  async createToken(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const { name, scopes, expiresInDays } = req.body;
+
+      if (!name || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Token name is required'
+        });
+      }
+
+      if (!Array.isArray(scopes) || scopes.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one scope is required'
+        });
+      }
+
+      if (expiresInDays !== undefined && expiresInDays !== null &&
+          (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365)) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresInDays must be a whole number between 1 and 365'
+        });
+      }
+
+      const result = await personalAccessTokenService.createToken(userId, {
+        name: name.trim(),
+        scopes,
+        expiresInDays
+      });
+
+      Logger.info('Personal access token created', {
+        userId,
+        tokenId: result.personalAccessToken._id,
+        scopes: result.personalAccessToken.scopes
+      });
+
+      res.status(201).json(result);
+
+    } catch (error) {
+      Logger.error('Failed to create personal access token', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message.startsWith('Invalid scopes') || error.message.startsWith('You can have at most')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Revoke a token immediately
+  async revokeToken(req, res, next) {
+    try {
+      const { tokenId } = req.params;
+      const userId = req.user.userId;
+
+      const result = await personalAccessTokenService.revokeToken(userId, tokenId);
+
+      Logger.info('Personal access token revoked', { userId, tokenId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to revoke personal access token', {
+        userId: req.user?.userId,
+        tokenId: req.params.tokenId,
+        error: error.message
+      });
+
+      if (error.message === 'Token not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+}
+
+module.exports = new PersonalAccessTokenController();
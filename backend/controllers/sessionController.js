@@ -0,0 +1,56 @@
+const sessionService = require('../services/sessionService');
+const Logger = require('../utils/logger');
+
+class SessionController {
+  // List the devices the current user is signed in on
+  async getSessions(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const sessions = await sessionService.listSessions(userId, req.user.sid);
+
+      res.json({
+        success: true,
+        sessions
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get sessions', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+
+  // Sign out a single device
+  async revokeSession(req, res, next) {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.user.userId;
+
+      const result = await sessionService.revokeSession(userId, sessionId);
+
+      Logger.info('Session revoked', { userId, sessionId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to revoke session', {
+        userId: req.user?.userId,
+        sessionId: req.params.sessionId,
+        error: error.message
+      });
+
+      if (error.message === 'Session not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+}
+
+module.exports = new SessionController();
@@ -0,0 +1,119 @@
+const twoFactorService = require('../services/twoFactorService');
+const Logger = require('../utils/logger');
+
+class TwoFactorController {
+  // Generate a TOTP secret and provisioning URI
+  async setup(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const result = await twoFactorService.setupTwoFactor(userId);
+
+      Logger.info('Two-factor setup started', { userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to start two-factor setup', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'Two-factor authentication is already enabled') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Confirm setup with a current code
+  async enable(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor code is required'
+        });
+      }
+
+      const result = await twoFactorService.enableTwoFactor(userId, code);
+
+      Logger.info('Two-factor authentication enabled', { userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to enable two-factor authentication', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'Invalid two-factor code') {
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (['Two-factor authentication is already enabled', 'Two-factor setup has not been started'].includes(error.message)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Disable 2FA with a current code or recovery code
+  async disable(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor code is required'
+        });
+      }
+
+      const result = await twoFactorService.disableTwoFactor(userId, code);
+
+      Logger.info('Two-factor authentication disabled', { userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to disable two-factor authentication', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'Invalid two-factor code') {
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Two-factor authentication is not enabled') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+}
+
+module.exports = new TwoFactorController();
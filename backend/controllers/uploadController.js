@@ -0,0 +1,222 @@
+const userService = require('../services/userService');
+const journeyService = require('../services/journeyService');
+const Logger = require('../utils/logger');
+
+class UploadController {
+  // Upload a new avatar for the current user
+  async uploadAvatar(req, res, next) {
+    try {
+      const userId = req.user.userId;
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'An image file is required in the "avatar" field'
+        });
+      }
+
+      const result = await userService.updateAvatar(userId, req.file);
+
+      Logger.info('Avatar uploaded', { userId, size: req.file.size });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to upload avatar', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'File content is not a supported image') {
+        return res.status(415).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Remove the current user's avatar
+  async deleteAvatar(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const result = await userService.removeAvatar(userId);
+
+      Logger.info('Avatar removed', { userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to remove avatar', {
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Upload a journey cover image
+  async uploadCover(req, res, next) {
+    try {
+      const { journeyId } = req.params;
+      const userId = req.user.userId;
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'An image file is required in the "cover" field'
+        });
+      }
+
+      const result = await journeyService.setCoverImage(journeyId, req.file, userId);
+
+      Logger.info('Journey cover uploaded', { journeyId, userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to upload journey cover', {
+        journeyId: req.params.journeyId,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'File content is not a supported image') {
+        return res.status(415).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Journey not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Access denied to edit this journey') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Upload journey photos, or destination photos when :destinationId is present
+  async uploadPhotos(req, res, next) {
+    try {
+      const { journeyId, destinationId } = req.params;
+      const userId = req.user.userId;
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one image file is required in the "photos" field'
+        });
+      }
+
+      const result = await journeyService.addPhotos(journeyId, req.files, userId, destinationId);
+
+      Logger.info('Journey photos uploaded', {
+        journeyId,
+        destinationId,
+        userId,
+        count: req.files.length
+      });
+
+      res.status(201).json(result);
+
+    } catch (error) {
+      Logger.error('Failed to upload journey photos', {
+        journeyId: req.params.journeyId,
+        destinationId: req.params.destinationId,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (error.message === 'File content is not a supported image') {
+        return res.status(415).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (['Journey not found', 'Destination not found'].includes(error.message)) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Access denied to edit this journey') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Delete an uploaded journey photo or cover
+  async deletePhoto(req, res, next) {
+    try {
+      const { journeyId, uploadId } = req.params;
+      const userId = req.user.userId;
+
+      const result = await journeyService.removePhoto(journeyId, uploadId, userId);
+
+      Logger.info('Journey photo deleted', { journeyId, uploadId, userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to delete journey photo', {
+        journeyId: req.params.journeyId,
+        uploadId: req.params.uploadId,
+        userId: req.user?.userId,
+        error: error.message
+      });
+
+      if (['Journey not found', 'Photo not found'].includes(error.message)) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Access denied to edit this journey') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+}
+
+module.exports = new UploadController();
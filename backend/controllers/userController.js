@@ -1,11 +1,14 @@
 const userService = require('../services/userService');
+const accountService = require('../services/accountService');
+const digestService = require('../services/digestService');
 const Logger = require('../utils/logger');
+const { getClientInfo } = require('../utils/requestUtils');
 
 class UserController {
   // Register new user
   async register(req, res, next) {
     try {
-      const { username, email, password, firstName, lastName } = req.body;
+      const { username, email, password, firstName, lastName, invitationCode } = req.body;
 
       // Validation
       if (!username || !email || !password || !firstName || !lastName) {
@@ -27,18 +30,48 @@ class UserController {
         email,
         password,
         firstName,
-        lastName
-      });
+        lastName,
+        invitationCode
+      }, getClientInfo(req));
 
       Logger.info('User registered successfully', { 
         userId: result.user._id, 
-        username: result.user.username 
+        username: result.user.username,
+        invitedBy: result.user.invitedBy
       });
 
       res.status(201).json(result);
 
     } catch (error) {
       Logger.error('Registration failed', { error: error.message });
+
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: error.message,
+          retryAfter: error.retryAfter
+        });
+      }
+
+      if (error.message === 'An invitation code is required to register') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if ([
+        'Invalid invitation code',
+        'Invitation code has expired',
+        'Invitation code has reached its usage limit'
+      ].includes(error.message)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       next(error);
     }
   }
@@ -55,7 +88,12 @@ class UserController {
         });
       }
 
-      const result = await userService.loginUser({ email, password });
+      const result = await userService.loginUser({ email, password }, getClientInfo(req));
+
+      if (result.twoFactorRequired) {
+        Logger.info('Login awaiting two-factor code', { email });
+        return res.json(result);
+      }
 
       Logger.info('User logged in successfully', { 
         userId: result.user._id, 
@@ -67,17 +105,381 @@ class UserController {
     } catch (error) {
       Logger.error('Login failed', { email: req.body.email, error: error.message });
       
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: error.message,
+          retryAfter: error.retryAfter
+        });
+      }
+
       if (error.message === 'Invalid email or password') {
         return res.status(401).json({
           success: false,
           message: error.message
         });
       }
+
+      if (error.message === 'Account is suspended') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
       
       next(error);
     }
   }
 
+  // Complete login with a two-factor code
+  async loginTwoFactor(req, res, next) {
+    try {
+      const { challengeToken, code } = req.body;
+
+      if (!challengeToken || !code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Challenge token and code are required'
+        });
+      }
+
+      const result = await userService.completeTwoFactorLogin(challengeToken, code, getClientInfo(req));
+
+      Logger.info('User logged in with two-factor authentication', { 
+        userId: result.user._id, 
+        username: result.user.username 
+      });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Two-factor login failed', { error: error.message });
+
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: error.message,
+          retryAfter: error.retryAfter
+        });
+      }
+
+      if (['Invalid or expired two-factor challenge', 'Invalid two-factor code'].includes(error.message)) {
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Account is suspended') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Refresh access token
+  async refreshToken(req, res, next) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refresh token is required'
+        });
+      }
+
+      const result = await userService.refreshTokens(refreshToken);
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Token refresh failed', { error: error.message });
+
+      if (['Invalid refresh token', 'Refresh token has been revoked', 'User not found'].includes(error.message)) {
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Account is suspended') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Logout user (revokes current access token and refresh token)
+  async logout(req, res, next) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!req.user && !refreshToken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Access token or refresh token is required'
+        });
+      }
+
+      const result = await userService.logoutUser(req.user, refreshToken);
+
+      Logger.info('User logged out', { userId: req.user?.userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Logout failed', { 
+        userId: req.user?.userId, 
+        error: error.message 
+      });
+      next(error);
+    }
+  }
+
+  // Verify email address
+  async verifyEmail(req, res, next) {
+    try {
+      const token = req.body.token || req.query.token;
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          message: 'Verification token is required'
+        });
+      }
+
+      const result = await userService.verifyEmail(token);
+
+      Logger.info('User email verified', { userId: result.user._id });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Email verification failed', { error: error.message });
+
+      if (error.message === 'Invalid or expired verification token') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Resend verification email
+  async resendVerificationEmail(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const result = await userService.resendVerificationEmail(userId);
+
+      Logger.info('Verification email resent', { userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to resend verification email', { 
+        userId: req.user?.userId, 
+        error: error.message 
+      });
+
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: error.message,
+          retryAfter: error.retryAfter
+        });
+      }
+
+      if (error.message === 'Email is already verified') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Request password reset email
+  async forgotPassword(req, res, next) {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is required'
+        });
+      }
+
+      const result = await userService.requestPasswordReset(email, getClientInfo(req));
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Password reset request failed', { error: error.message });
+
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: error.message,
+          retryAfter: error.retryAfter
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Reset password with token
+  async resetPassword(req, res, next) {
+    try {
+      const { token, password } = req.body;
+
+      if (!token || !password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reset token and new password are required'
+        });
+      }
+
+      if (password.length < 6) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password must be at least 6 characters long'
+        });
+      }
+
+      const result = await userService.resetPassword(token, password);
+
+      Logger.info('Password reset completed');
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Password reset failed', { error: error.message });
+
+      if (error.message === 'Invalid or expired password reset token') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Unsubscribe from activity digests. The token comes in the query string for
+  // one-click unsubscribe from mail clients, or in the body from the web app.
+  async unsubscribeFromDigest(req, res, next) {
+    try {
+      const token = req.query.token || req.body.token;
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unsubscribe token is required'
+        });
+      }
+
+      const result = await digestService.unsubscribe(token);
+
+      Logger.info('Unsubscribed from activity digest');
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Digest unsubscribe failed', { error: error.message });
+
+      if (error.message === 'Invalid or expired unsubscribe token') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Change password (authenticated)
+  async changePassword(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const { currentPassword, newPassword, code } = req.body;
+
+      // The current password is checked by the service; password-less accounts have none
+      if (!newPassword) {
+        return res.status(400).json({
+          success: false,
+          message: 'New password is required'
+        });
+      }
+
+      if (newPassword.length < 6) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password must be at least 6 characters long'
+        });
+      }
+
+      if (currentPassword === newPassword) {
+        return res.status(400).json({
+          success: false,
+          message: 'New password must be different from the current password'
+        });
+      }
+
+      const result = await userService.changePassword(userId, currentPassword, newPassword, getClientInfo(req), {
+        code,
+        sessionId: req.user.sid
+      });
+
+      Logger.info('User password changed', { userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to change password', { 
+        userId: req.user?.userId, 
+        error: error.message 
+      });
+
+      if (['Current password is incorrect', 'Please sign in again to confirm this change'].includes(error.message)) {
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
   // Get current user profile
   async getProfile(req, res, next) {
     try {
@@ -102,11 +504,13 @@ class UserController {
   async getUserById(req, res, next) {
     try {
       const { userId } = req.params;
-      const userProfile = await userService.getUserProfile(userId);
+      const { access, profile } = await userService.getProfileForViewer(userId, req.user.userId);
 
+      // 'limited' profiles carry only the username and avatar
       res.json({
         success: true,
-        user: userProfile
+        access,
+        user: profile
       });
 
     } catch (error) {
@@ -121,6 +525,13 @@ class UserController {
           message: error.message
         });
       }
+
+      if (error.message === 'Access denied to this profile') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
       
       next(error);
     }
@@ -153,29 +564,155 @@ class UserController {
     }
   }
 
+  // Schedule account deletion
+  async deleteAccount(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      // Password accounts confirm with their password, password-less ones with
+      // a two-factor code or a recent sign-in; the service checks which applies
+      const { password, code } = req.body;
+
+      const result = await accountService.requestAccountDeletion(userId, {
+        password,
+        code,
+        sessionId: req.user.sid
+      });
+
+      Logger.info('Account deletion requested', { 
+        userId, 
+        deletionScheduledFor: result.deletionScheduledFor 
+      });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to request account deletion', { 
+        userId: req.user?.userId, 
+        error: error.message 
+      });
+
+      if (['Password is incorrect', 'Please sign in again to confirm this change'].includes(error.message)) {
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Cancel a scheduled account deletion
+  async cancelAccountDeletion(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const result = await accountService.cancelAccountDeletion(userId);
+
+      Logger.info('Account deletion cancelled', { userId });
+
+      res.json(result);
+
+    } catch (error) {
+      Logger.error('Failed to cancel account deletion', { 
+        userId: req.user?.userId, 
+        error: error.message 
+      });
+
+      if (error.message === 'Account is not scheduled for deletion') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Export personal data as a JSON bundle, or a ZIP of JSON files with ?format=zip
+  async exportUserData(req, res, next) {
+    try {
+      const userId = req.user.userId;
+      const { format = 'json' } = req.query;
+
+      if (!['json', 'zip'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Export format must be json or zip'
+        });
+      }
+
+      const bundle = await accountService.exportUserData(userId);
+
+      Logger.info('User data exported', { userId, format });
+
+      if (format === 'zip') {
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition', `attachment; filename="travel-platform-export-${userId}.zip"`);
+        return res.send(accountService.createExportArchive(bundle));
+      }
+
+      res.set('Content-Disposition', `attachment; filename="travel-platform-export-${userId}.json"`);
+      res.json(bundle);
+
+    } catch (error) {
+      Logger.error('Failed to export user data', { 
+        userId: req.user?.userId, 
+        error: error.message 
+      });
+      next(error);
+    }
+  }
+
   // Search users
   async searchUsers(req, res, next) {
     try {
-      const { q: query, limit = 20 } = req.query;
+      const { q: query, limit = 20, cursor, location, interests } = req.query;
       const currentUserId = req.user.userId;
 
-      if (!query || query.trim().length < 2) {
+      // Repeated parameters (?q=a&q=b) arrive as arrays
+      if ([query, limit, cursor, location, interests].some(value => value !== undefined && typeof value !== 'string' && typeof value !== 'number')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Search parameters must be single values'
+        });
+      }
+
+      if (typeof query !== 'string' || query.trim().length < 2) {
         return res.status(400).json({
           success: false,
           message: 'Search query must be at least 2 characters long'
         });
       }
 
-      const users = await userService.searchUsers(
+      if (query.trim().length > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'Search query cannot exceed 100 characters'
+        });
+      }
+
+      const result = await userService.searchUsers(
         query.trim(), 
         currentUserId, 
-        parseInt(limit)
+        {
+          limit: Math.min(Math.max(parseInt(limit) || 20, 1), 50),
+          cursor: typeof cursor === 'string' ? cursor : undefined,
+          location: typeof location === 'string' && location.trim() ? location.trim() : undefined,
+          interests: typeof interests === 'string'
+            ? interests.split(',').map(interest => interest.trim().toLowerCase()).filter(Boolean)
+            : []
+        }
       );
 
       res.json({
         success: true,
-        users,
-        query: query.trim()
+        users: result.users,
+        query: query.trim(),
+        pagination: {
+          nextCursor: result.nextCursor,
+          hasNext: result.nextCursor !== null
+        }
       });
 
     } catch (error) {
@@ -184,6 +721,84 @@ class UserController {
         userId: req.user?.userId, 
         error: error.message 
       });
+
+      if (error.message === 'Invalid cursor') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Get a user's achievement badges
+  async getUserBadges(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const badges = await userService.getUserBadges(userId, req.user.userId);
+
+      res.json({
+        success: true,
+        badges
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get user badges', { 
+        requestedUserId: req.params.userId, 
+        error: error.message 
+      });
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Access denied to this profile') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    }
+  }
+
+  // Get a user's travel footprint (countries, cities and a GeoJSON map)
+  async getUserFootprint(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const footprint = await userService.getUserFootprint(userId, req.user.userId);
+
+      res.json({
+        success: true,
+        footprint
+      });
+
+    } catch (error) {
+      Logger.error('Failed to get user footprint', { 
+        requestedUserId: req.params.userId, 
+        error: error.message 
+      });
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Access denied to this profile') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       next(error);
     }
   }
@@ -194,6 +809,8 @@ class UserController {
       const { userId } = req.params;
       const requesterId = req.user.userId;
 
+      await userService.assertCanViewProfile(userId, requesterId);
+
       // Users can only see their own detailed stats, others see limited stats
       const stats = await userService.getUserStats(userId);
 
@@ -220,6 +837,21 @@ class UserController {
         userId: req.params.userId, 
         error: error.message 
       });
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Access denied to this profile') {
+        return res.status(403).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       next(error);
     }
   }
@@ -275,7 +907,8 @@ class UserController {
         });
       }
 
-      const users = await userService.getUsersByIds(userIds);
+      // Users the requester may not view are left out
+      const users = await userService.getUsersByIds(userIds, req.user.userId);
 
       res.json({
         success: true,
@@ -295,7 +928,7 @@ class UserController {
   async updatePreferences(req, res, next) {
     try {
       const userId = req.user.userId;
-      const { notifications, privacy } = req.body;
+      const { notifications, privacy, travel } = req.body;
 
       const updateData = {};
       
@@ -309,12 +942,35 @@ class UserController {
         if (typeof notifications.chat === 'boolean') {
           updateData['preferences.notifications.chat'] = notifications.chat;
         }
+        if (['daily', 'weekly', 'off'].includes(notifications.digest)) {
+          updateData['preferences.notifications.digest'] = notifications.digest;
+        }
       }
 
       if (privacy) {
         if (['public', 'friends', 'private'].includes(privacy.profileVisibility)) {
           updateData['preferences.privacy.profileVisibility'] = privacy.profileVisibility;
         }
+        if (typeof privacy.keepPhotoLocation === 'boolean') {
+          updateData['preferences.privacy.keepPhotoLocation'] = privacy.keepPhotoLocation;
+        }
+      }
+
+      // Travel profile; the model validates the individual values
+      if (travel) {
+        if (Array.isArray(travel.interests)) {
+          updateData.interests = travel.interests;
+        }
+        ['languages', 'travelStyles', 'dietaryNeeds', 'accessibilityNeeds'].forEach(field => {
+          if (Array.isArray(travel[field])) {
+            updateData[`travelProfile.${field}`] = travel[field];
+          }
+        });
+        ['homeCity', 'budget'].forEach(field => {
+          if (travel[field] && typeof travel[field] === 'object') {
+            updateData[`travelProfile.${field}`] = travel[field];
+          }
+        });
       }
 
       if (Object.keys(updateData).length === 0) {
@@ -0,0 +1,41 @@
+const accountService = require('../services/accountService');
+const Logger = require('../utils/logger');
+
+const RUN_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+let timer = null;
+
+// Anonymize accounts whose deletion grace period has ended
+const runAccountDeletionJob = async () => {
+  try {
+    const processed = await accountService.processScheduledDeletions();
+    if (processed > 0) {
+      Logger.info('Scheduled account deletions processed', { processed });
+    }
+  } catch (error) {
+    Logger.error('Account deletion job failed', { error: error.message });
+  }
+};
+
+const startAccountDeletionJob = () => {
+  if (timer) return timer;
+
+  timer = setInterval(runAccountDeletionJob, RUN_INTERVAL_MS);
+  timer.unref(); // never keep the process alive just for this job
+  runAccountDeletionJob();
+
+  return timer;
+};
+
+const stopAccountDeletionJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runAccountDeletionJob,
+  startAccountDeletionJob,
+  stopAccountDeletionJob
+};
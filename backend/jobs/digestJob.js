@@ -0,0 +1,41 @@
+const digestService = require('../services/digestService');
+const Logger = require('../utils/logger');
+
+const RUN_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+let timer = null;
+
+// Email daily and weekly activity digests that are due
+const runDigestJob = async () => {
+  try {
+    const sent = await digestService.sendDueDigests();
+    if (sent > 0) {
+      Logger.info('Activity digests sent', { sent });
+    }
+  } catch (error) {
+    Logger.error('Digest job failed', { error: error.message });
+  }
+};
+
+const startDigestJob = () => {
+  if (timer) return timer;
+
+  timer = setInterval(runDigestJob, RUN_INTERVAL_MS);
+  timer.unref(); // never keep the process alive just for this job
+  runDigestJob();
+
+  return timer;
+};
+
+const stopDigestJob = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runDigestJob,
+  startDigestJob,
+  stopDigestJob
+};
@@ -1,7 +1,10 @@
-const jwt = require('jsonwebtoken');
-const { jwtSecret } = require('../config/config');
+const tokenService = require('../services/tokenService');
+const userService = require('../services/userService');
+const sessionService = require('../services/sessionService');
+const personalAccessTokenService = require('../services/personalAccessTokenService');
+const Logger = require('../utils/logger');
 
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -12,9 +15,31 @@ const verifyToken = (req, res, next) => {
     });
   }
 
+  // Personal access tokens for scripts; routes declare what they need with requireScope
+  if (personalAccessTokenService.isPersonalAccessToken(token)) {
+    try {
+      req.user = await personalAccessTokenService.authenticate(token);
+      return next();
+    } catch (error) {
+      if (['Invalid personal access token', 'Personal access token has expired'].includes(error.message)) {
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+      return next(error);
+    }
+  }
+
   try {
-    const decoded = jwt.verify(token, jwtSecret);
+    const decoded = await tokenService.verifyAccessToken(token);
     req.user = decoded;
+
+    // Best effort: a failed last-seen update must not fail the request
+    sessionService.touchSession(decoded.sid).catch(error => {
+      Logger.warn('Failed to update session last-seen time', { sessionId: decoded.sid, error: error.message });
+    });
+
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -23,6 +48,12 @@ const verifyToken = (req, res, next) => {
         message: 'Token has expired' 
       });
     }
+    if (error.message === 'Token has been revoked') {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
     return res.status(403).json({ 
       success: false,
       message: 'Invalid token' 
@@ -30,14 +61,15 @@ const verifyToken = (req, res, next) => {
   }
 };
 
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   const token = authHeader && authHeader.split(' ')[1];
 
   if (token) {
     try {
-      const decoded = jwt.verify(token, jwtSecret);
-      req.user = decoded;
+      req.user = personalAccessTokenService.isPersonalAccessToken(token)
+        ? await personalAccessTokenService.authenticate(token)
+        : await tokenService.verifyAccessToken(token);
     } catch (error) {
       // Token is invalid but we continue without user info
       req.user = null;
@@ -46,4 +78,81 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
-module.exports = { verifyToken, optionalAuth };
+// Require a verified email address. Pass a predicate to only enforce it for
+// some requests, e.g. `requireVerified(req => req.body.visibility === 'public')`.
+const requireVerified = (condition = () => true) => async (req, res, next) => {
+  try {
+    if (!condition(req)) {
+      return next();
+    }
+
+    const user = await userService.getUserProfile(req.user.userId);
+    if (!user.isVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address to perform this action'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Restrict a route to users with one of the given roles (use after verifyToken)
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const user = await userService.getUserProfile(req.user.userId);
+
+    if (!roles.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    req.user.role = user.role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Limit personal access tokens to routes granted by one of their scopes (use after verifyToken
+// or optionalAuth); interactive logins are not affected
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.user || req.user.type !== 'personal_access_token') {
+    return next();
+  }
+
+  if (!req.user.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `This token is missing the required scope: ${scope}`
+    });
+  }
+
+  next();
+};
+
+// Keep personal access tokens away from account, security and admin endpoints
+const rejectPersonalAccessTokens = (req, res, next) => {
+  if (req.user && req.user.type === 'personal_access_token') {
+    return res.status(403).json({
+      success: false,
+      message: 'Personal access tokens cannot be used for this endpoint'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  verifyToken,
+  optionalAuth,
+  requireVerified,
+  requireRole,
+  requireScope,
+  rejectPersonalAccessTokens
+};
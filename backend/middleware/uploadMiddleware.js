@@ -0,0 +1,61 @@
+const multer = require('multer');
+const { uploads } = require('../config/config');
+const uploadService = require('../services/uploadService');
+
+// Files stay in memory until the upload service has validated them
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: uploads.maxFileSize,
+    files: uploads.maxFilesPerRequest
+  },
+  fileFilter: (req, file, cb) => {
+    if (!uploadService.allowedImageTypes.includes(file.mimetype)) {
+      const error = new Error(`Unsupported file type. Allowed types: ${uploadService.allowedImageTypes.join(', ')}`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Turn multer failures into JSON responses like the rest of the API
+const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+      return res.status(415).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `File is too large. Maximum size is ${(uploads.maxFileSize / (1024 * 1024)).toFixed(1)} MB`
+      });
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: ['LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(error.code)
+          ? `Unexpected file: check the field name and upload at most ${uploads.maxFilesPerRequest} files at once`
+          : error.message
+      });
+    }
+
+    next(error);
+  });
+};
+
+const uploadImage = (fieldName) => handleUpload(imageUpload.single(fieldName));
+
+const uploadImages = (fieldName, maxCount = uploads.maxFilesPerRequest) =>
+  handleUpload(imageUpload.array(fieldName, maxCount));
+
+module.exports = { uploadImage, uploadImages };
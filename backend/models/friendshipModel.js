@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const friendshipSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'pending'
+  },
+  acceptedAt: Date
+}, {
+  timestamps: true
+});
+
+// One friendship document per ordered pair; the service also checks the reverse pair
+friendshipSchema.index({ requester: 1, recipient: 1 }, { unique: true });
+friendshipSchema.index({ recipient: 1, status: 1 });
+friendshipSchema.index({ requester: 1, status: 1 });
+
+// Find the friendship between two users regardless of who sent the request
+friendshipSchema.statics.findBetween = function(userA, userB) {
+  return this.findOne({
+    $or: [
+      { requester: userA, recipient: userB },
+      { requester: userB, recipient: userA }
+    ]
+  });
+};
+
+module.exports = mongoose.model('Friendship', friendshipSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Who the code is meant for, e.g. a beta group; only shown to its creator and admins
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Note cannot exceed 100 characters']
+  },
+  maxUses: {
+    type: Number,
+    required: true,
+    min: [1, 'An invitation must allow at least one use']
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
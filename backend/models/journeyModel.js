@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const { isValidGeoPoint, normalizeGeoPoint } = require('../utils/geoUtils');
+
+const TRAVEL_STYLES = ['solo', 'couple', 'family', 'group', 'business'];
+
+// GeoJSON point, as required by the 2dsphere index
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    default: undefined,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+pointSchema.path('coordinates').validate(function(coordinates) {
+  return isValidGeoPoint({ type: 'Point', coordinates });
+}, 'Coordinates must be [longitude, latitude] with a longitude between -180 and 180 and a latitude between -90 and 90');
 
 const locationSchema = new mongoose.Schema({
   name: {
@@ -6,9 +29,12 @@ const locationSchema = new mongoose.Schema({
     required: true
   },
   address: String,
+  city: String,
+  country: String,
+  // Also accepts { latitude, longitude }, which is converted to a point
   coordinates: {
-    latitude: Number,
-    longitude: Number
+    type: pointSchema,
+    set: normalizeGeoPoint
   },
   description: String,
   photos: [String],
@@ -68,10 +94,8 @@ const journeySchema = new mongoose.Schema({
       required: true
     },
     date: Date,
-    locations: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'destinations'
-    }],
+    // _ids of entries in `destinations`, in visiting order
+    locations: [mongoose.Schema.Types.ObjectId],
     notes: String
   }],
   duration: {
@@ -101,7 +125,7 @@ const journeySchema = new mongoose.Schema({
   },
   travelStyle: {
     type: String,
-    enum: ['solo', 'couple', 'family', 'group', 'business'],
+    enum: TRAVEL_STYLES,
     default: 'solo'
   },
   status: {
@@ -170,4 +194,7 @@ journeySchema.pre('save', function(next) {
   next();
 });
 
-module.exports = mongoose.model('Journey', journeySchema);
+const Journey = mongoose.model('Journey', journeySchema);
+Journey.TRAVEL_STYLES = TRAVEL_STYLES;
+
+module.exports = Journey;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'journey_liked',
+  'journey_commented',
+  'collaborator_added',
+  'qa_question',
+  'mention'
+];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  journey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journey'
+  },
+  chatRoom: String,
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  // Short preview, e.g. the start of a comment
+  text: {
+    type: String,
+    maxlength: 200
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+// Old notifications are dropped after 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const TOKEN_SCOPES = [
+  'journeys:read',
+  'journeys:write',
+  'chat:read',
+  'chat:write',
+  'ai:query'
+];
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  // SHA-256 of the token; the token itself is only shown once at creation
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token so users can tell tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: TOKEN_SCOPES
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  lastUsedAt: Date,
+  expiresAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+personalAccessTokenSchema.index({ user: 1, revokedAt: 1 });
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+PersonalAccessToken.SCOPES = TOKEN_SCOPES;
+
+module.exports = PersonalAccessToken;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Tracks every stored file so it can be removed from storage with its owner
+const uploadSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['avatar', 'journey_cover', 'journey_photo', 'destination_photo'],
+    required: true
+  },
+  journey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journey'
+  },
+  destination: mongoose.Schema.Types.ObjectId, // subdocument of the journey
+  storage: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  mimeType: String,
+  size: Number,
+  originalName: String,
+  width: Number,
+  height: Number,
+  // Resized copies (thumbnail, medium, large) stored next to the original
+  variants: [{
+    _id: false,
+    name: String,
+    key: String,
+    url: String,
+    width: Number,
+    height: Number
+  }],
+  takenAt: Date,
+  // Only recorded when the owner keeps photo locations
+  location: {
+    latitude: Number,
+    longitude: Number
+  }
+}, {
+  timestamps: true
+});
+
+uploadSchema.index({ journey: 1 });
+uploadSchema.index({ owner: 1, purpose: 1 });
+uploadSchema.index({ url: 1 });
+
+module.exports = mongoose.model('Upload', uploadSchema);
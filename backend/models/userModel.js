@@ -1,5 +1,9 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Journey = require('./journeyModel');
+
+const shortList = (max) => [value => value.length <= max, `Cannot have more than ${max} entries`];
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -22,10 +26,54 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Accounts created through an identity provider may have no password
+    required: [
+      function() { return !this.identities || this.identities.length === 0; },
+      'Password is required'
+    ],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  passwordChangedAt: Date,
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String], // SHA-256 hashes
+    select: false
+  },
   firstName: {
     type: String,
     required: [true, 'First name is required'],
@@ -50,6 +98,61 @@ const userSchema = new mongoose.Schema({
     type: String,
     maxlength: [100, 'Location cannot exceed 100 characters']
   },
+  interests: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [50, 'Interest cannot exceed 50 characters']
+    }],
+    validate: [value => value.length <= 20, 'Cannot have more than 20 interests']
+  },
+  // Structured travel profile used to personalize AI suggestions. Only the
+  // owner sees the home city coordinates, budget and dietary/accessibility needs.
+  travelProfile: {
+    homeCity: {
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Home city cannot exceed 100 characters']
+      },
+      country: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Country cannot exceed 100 characters']
+      },
+      coordinates: {
+        latitude: { type: Number, min: -90, max: 90 },
+        longitude: { type: Number, min: -180, max: 180 }
+      }
+    },
+    languages: {
+      type: [{ type: String, trim: true, maxlength: [50, 'Language cannot exceed 50 characters'] }],
+      validate: shortList(20)
+    },
+    travelStyles: {
+      type: [{ type: String, enum: Journey.TRAVEL_STYLES }],
+      validate: shortList(Journey.TRAVEL_STYLES.length)
+    },
+    budget: {
+      min: { type: Number, min: [0, 'Budget cannot be negative'] },
+      max: { type: Number, min: [0, 'Budget cannot be negative'] },
+      currency: {
+        type: String,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+        default: 'USD'
+      }
+    },
+    dietaryNeeds: {
+      type: [{ type: String, trim: true, maxlength: [100, 'Dietary need cannot exceed 100 characters'] }],
+      validate: shortList(20)
+    },
+    accessibilityNeeds: {
+      type: [{ type: String, trim: true, maxlength: [100, 'Accessibility need cannot exceed 100 characters'] }],
+      validate: shortList(20)
+    }
+  },
   isVerified: {
     type: Boolean,
     default: false
@@ -59,20 +162,71 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin'],
     default: 'user'
   },
+  isSuspended: {
+    type: Boolean,
+    default: false
+  },
+  suspendedAt: Date,
+  suspensionReason: {
+    type: String,
+    maxlength: [500, 'Suspension reason cannot exceed 500 characters']
+  },
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date,
+  lastDigestSentAt: Date,
+  // Set when the account was registered with an invitation code
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invitation'
+  },
   preferences: {
     notifications: {
       email: { type: Boolean, default: true },
       push: { type: Boolean, default: true },
-      chat: { type: Boolean, default: true }
+      chat: { type: Boolean, default: true },
+      // Activity email; only sent while `email` is enabled
+      digest: {
+        type: String,
+        enum: ['daily', 'weekly', 'off'],
+        default: 'weekly'
+      }
     },
     privacy: {
       profileVisibility: {
         type: String,
         enum: ['public', 'friends', 'private'],
         default: 'public'
+      },
+      // Keep GPS data in uploaded photos instead of stripping it
+      keepPhotoLocation: {
+        type: Boolean,
+        default: false
       }
     }
   },
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  mutedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Achievement badges; definitions live in badgeService
+  badges: [{
+    _id: false,
+    key: { type: String, required: true },
+    awardedAt: { type: Date, default: Date.now }
+  }],
   stats: {
     journeysCreated: { type: Number, default: 0 },
     journeysCompleted: { type: Number, default: 0 },
@@ -82,6 +236,23 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Lookup of users who have blocked a given user
+userSchema.index({ blockedUsers: 1 });
+// One account per external identity
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, sparse: true }
+);
+// User search filter by interest
+userSchema.index({ interests: 1 });
+// Users picked up by the email digest job
+userSchema.index({ 'preferences.notifications.digest': 1, lastDigestSentAt: 1 });
+// Invitation reporting
+userSchema.index({ invitedBy: 1 }, { sparse: true });
+userSchema.index({ invitation: 1 }, { sparse: true });
+// Pending account deletions picked up by the anonymization job
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -91,6 +262,9 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -99,14 +273,38 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // Password-less (identity provider only) accounts never match
+  if (!this.password || !candidatePassword) {
+    return false;
+  }
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Generate a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function(expiresInSeconds) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInSeconds * 1000);
+
+  return resetToken;
+};
+
 // Get public profile (exclude sensitive data)
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorPendingSecret;
+  delete userObject.twoFactorRecoveryCodes;
+  delete userObject.blockedUsers;
+  delete userObject.mutedUsers;
   delete userObject.__v;
+  if (userObject.identities) {
+    userObject.identities = userObject.identities.map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt }));
+  }
   return userObject;
 };
 
@@ -0,0 +1,25 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const { verifyToken, requireRole, rejectPersonalAccessTokens } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All admin routes require an authenticated admin signed in interactively
+router.use(verifyToken, rejectPersonalAccessTokens, requireRole('admin'));
+
+// Platform overview
+router.get('/stats', adminController.getPlatformStats);
+
+// User management
+router.get('/users', adminController.listUsers);
+router.post('/users/:userId/suspend', adminController.suspendUser);
+router.post('/users/:userId/unsuspend', adminController.unsuspendUser);
+
+// Invitation code usage
+router.get('/invitations', adminController.getInvitationReport);
+
+// Content moderation
+router.delete('/journeys/:journeyId', adminController.deleteJourney);
+router.delete('/messages/:messageId', adminController.deleteMessage);
+
+module.exports = router;
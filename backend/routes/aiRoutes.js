@@ -1,6 +1,6 @@
 const express = require('express');
 const aiController = require('../controllers/aiController');
-const { verifyToken, optionalAuth } = require('../middleware/authMiddleware');
+const { verifyToken, optionalAuth, requireScope } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -10,10 +10,10 @@ router.get('/system-prompt', aiController.getDefaultSystemPrompt);
 router.post('/validate-prompt', aiController.validateSystemPrompt);
 
 // FAQ endpoint (public access for basic travel questions)
-router.post('/faq', optionalAuth, aiController.getFAQResponse);
+router.post('/faq', optionalAuth, requireScope('ai:query'), aiController.getFAQResponse);
 
 // Protected AI routes (authentication required for full features)
-router.use(verifyToken);
+router.use(verifyToken, requireScope('ai:query'));
 
 // Main AI Travel Assistant
 router.post('/assistant', aiController.aiTravelAssistant);
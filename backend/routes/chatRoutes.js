@@ -1,6 +1,6 @@
 const express = require('express');
 const chatController = require('../controllers/chatController');
-const { verifyToken } = require('../middleware/authMiddleware');
+const { verifyToken, requireVerified, requireScope } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -8,27 +8,27 @@ const router = express.Router();
 router.use(verifyToken);
 
 // Chat room management
-router.post('/group-planning', chatController.createGroupPlanningChat);
-router.post('/location', chatController.joinLocationChat);
-router.post('/qa', chatController.createQAChat);
+router.post('/group-planning', requireScope('chat:write'), chatController.createGroupPlanningChat);
+router.post('/location', requireScope('chat:write'), requireVerified(), chatController.joinLocationChat);
+router.post('/qa', requireScope('chat:write'), chatController.createQAChat);
 
 // Chat history and participants
-router.get('/room/:roomId/history', chatController.getChatHistory);
-router.get('/room/:roomId/participants', chatController.getChatParticipants);
+router.get('/room/:roomId/history', requireScope('chat:read'), chatController.getChatHistory);
+router.get('/room/:roomId/participants', requireScope('chat:read'), chatController.getChatParticipants);
 
 // Message management (HTTP alternative to Socket.IO)
-router.post('/messages', chatController.sendMessage);
-router.put('/messages/:messageId', chatController.editMessage);
-router.delete('/messages/:messageId', chatController.deleteMessage);
+router.post('/messages', requireScope('chat:write'), chatController.sendMessage);
+router.put('/messages/:messageId', requireScope('chat:write'), chatController.editMessage);
+router.delete('/messages/:messageId', requireScope('chat:write'), chatController.deleteMessage);
 
 // Message interactions
-router.post('/messages/:messageId/reactions', chatController.addReaction);
-router.delete('/messages/:messageId/reactions', chatController.removeReaction);
+router.post('/messages/:messageId/reactions', requireScope('chat:write'), chatController.addReaction);
+router.delete('/messages/:messageId/reactions', requireScope('chat:write'), chatController.removeReaction);
 
 // Read receipts
-router.post('/room/:roomId/read', chatController.markMessagesAsRead);
+router.post('/room/:roomId/read', requireScope('chat:write'), chatController.markMessagesAsRead);
 
 // User's chats overview
-router.get('/my-chats', chatController.getUserChats);
+router.get('/my-chats', requireScope('chat:read'), chatController.getUserChats);
 
 module.exports = router;
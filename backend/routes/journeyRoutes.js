@@ -1,34 +1,55 @@
 const express = require('express');
 const journeyController = require('../controllers/journeyController');
-const { verifyToken, optionalAuth } = require('../middleware/authMiddleware');
+const uploadController = require('../controllers/uploadController');
+const { verifyToken, optionalAuth, requireVerified, requireScope } = require('../middleware/authMiddleware');
+const { uploadImage, uploadImages } = require('../middleware/uploadMiddleware');
 
 const router = express.Router();
 
 // Public routes (no authentication required, or optional auth)
-router.get('/public', optionalAuth, journeyController.getPublicJourneys);
-router.get('/search', optionalAuth, journeyController.searchJourneys);
-router.get('/:journeyId', optionalAuth, journeyController.getJourneyById);
-router.get('/:journeyId/stats', optionalAuth, journeyController.getJourneyStats);
+router.get('/public', optionalAuth, requireScope('journeys:read'), journeyController.getPublicJourneys);
+router.get('/search', optionalAuth, requireScope('journeys:read'), journeyController.searchJourneys);
+router.get('/nearby', optionalAuth, requireScope('journeys:read'), journeyController.getNearbyJourneys);
+router.get('/in-bounds', optionalAuth, requireScope('journeys:read'), journeyController.getJourneysInBounds);
+router.get('/map/clusters', optionalAuth, requireScope('journeys:read'), journeyController.getMapClusters);
+router.get('/:journeyId', optionalAuth, requireScope('journeys:read'), journeyController.getJourneyById);
+router.get('/:journeyId/stats', optionalAuth, requireScope('journeys:read'), journeyController.getJourneyStats);
 
 // User-specific public routes
-router.get('/user/:userId', optionalAuth, journeyController.getUserJourneys);
+router.get('/user/:userId', optionalAuth, requireScope('journeys:read'), journeyController.getUserJourneys);
 
 // Protected routes (authentication required)
 router.use(verifyToken); // Apply authentication middleware to all routes below
 
 // Journey CRUD operations
-router.post('/', journeyController.createJourney);
-router.put('/:journeyId', journeyController.updateJourney);
-router.delete('/:journeyId', journeyController.deleteJourney);
+// Publishing journeys publicly requires a verified email (journeys default to public)
+router.post('/', requireScope('journeys:write'), requireVerified(req => (req.body.visibility || 'public') === 'public'), journeyController.createJourney);
+router.put('/:journeyId', requireScope('journeys:write'), requireVerified(req => req.body.visibility === 'public'), journeyController.updateJourney);
+router.delete('/:journeyId', requireScope('journeys:write'), journeyController.deleteJourney);
 
 // Current user's journeys
-router.get('/my/journeys', journeyController.getMyJourneys);
+router.get('/my/journeys', requireScope('journeys:read'), journeyController.getMyJourneys);
+
+// Journey images
+router.put('/:journeyId/cover', requireScope('journeys:write'), uploadImage('cover'), uploadController.uploadCover);
+router.post('/:journeyId/photos', requireScope('journeys:write'), uploadImages('photos'), uploadController.uploadPhotos);
+router.post('/:journeyId/destinations/:destinationId/photos', requireScope('journeys:write'), uploadImages('photos'), uploadController.uploadPhotos);
+router.delete('/:journeyId/photos/:uploadId', requireScope('journeys:write'), uploadController.deletePhoto);
+
+// Destinations and itinerary
+router.post('/:journeyId/destinations', requireScope('journeys:write'), journeyController.addDestination);
+router.put('/:journeyId/destinations/order', requireScope('journeys:write'), journeyController.reorderDestinations);
+router.put('/:journeyId/destinations/:destinationId', requireScope('journeys:write'), journeyController.updateDestination);
+router.delete('/:journeyId/destinations/:destinationId', requireScope('journeys:write'), journeyController.removeDestination);
+router.put('/:journeyId/itinerary/order', requireScope('journeys:write'), journeyController.reorderItinerary);
+router.put('/:journeyId/itinerary/:day', requireScope('journeys:write'), journeyController.setItineraryDay);
+router.delete('/:journeyId/itinerary/:day', requireScope('journeys:write'), journeyController.removeItineraryDay);
 
 // Journey collaboration
-router.post('/:journeyId/collaborators', journeyController.addCollaborator);
+router.post('/:journeyId/collaborators', requireScope('journeys:write'), journeyController.addCollaborator);
 
 // Journey interactions
-router.post('/:journeyId/like', journeyController.toggleLike);
-router.post('/:journeyId/comments', journeyController.addComment);
+router.post('/:journeyId/like', requireScope('journeys:write'), journeyController.toggleLike);
+router.post('/:journeyId/comments', requireScope('journeys:write'), journeyController.addComment);
 
 module.exports = router;
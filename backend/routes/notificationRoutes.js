@@ -0,0 +1,15 @@
+const express = require('express');
+const notificationController = require('../controllers/notificationController');
+const { verifyToken, rejectPersonalAccessTokens } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Notifications belong to the signed-in user; no token scope covers them
+router.use(verifyToken, rejectPersonalAccessTokens);
+
+router.get('/', notificationController.getNotifications);
+router.get('/unread-count', notificationController.getUnreadCount);
+router.post('/read-all', notificationController.markAllRead);
+router.post('/:notificationId/read', notificationController.markRead);
+
+module.exports = router;
@@ -1,28 +1,102 @@
 const express = require('express');
 const userController = require('../controllers/userController');
-const { verifyToken, optionalAuth } = require('../middleware/authMiddleware');
+const friendController = require('../controllers/friendController');
+const blockController = require('../controllers/blockController');
+const twoFactorController = require('../controllers/twoFactorController');
+const oidcController = require('../controllers/oidcController');
+const sessionController = require('../controllers/sessionController');
+const personalAccessTokenController = require('../controllers/personalAccessTokenController');
+const invitationController = require('../controllers/invitationController');
+const uploadController = require('../controllers/uploadController');
+const { verifyToken, optionalAuth, rejectPersonalAccessTokens } = require('../middleware/authMiddleware');
+const { uploadImage } = require('../middleware/uploadMiddleware');
 
 const router = express.Router();
 
 // Public routes (no authentication required)
 router.post('/register', userController.register);
 router.post('/login', userController.login);
+router.post('/login/2fa', userController.loginTwoFactor);
 router.post('/verify-token', userController.verifyToken);
+router.post('/refresh', userController.refreshToken);
+router.post('/logout', optionalAuth, userController.logout);
+router.post('/verify-email', userController.verifyEmail);
+router.post('/password/forgot', userController.forgotPassword);
+router.post('/password/reset', userController.resetPassword);
+router.post('/digest/unsubscribe', userController.unsubscribeFromDigest);
+
+// Sign in with an external identity provider (OpenID Connect)
+router.get('/oidc/providers', oidcController.getProviders);
+router.get('/oidc/:provider/authorize', oidcController.authorize);
+// Linking needs the signed-in user, so the callback reads an optional access token
+router.get('/oidc/:provider/callback', optionalAuth, oidcController.callback);
 
 // Protected routes (authentication required)
 router.use(verifyToken); // Apply authentication middleware to all routes below
+router.use(rejectPersonalAccessTokens); // Account endpoints need an interactive login
 
 // Current user profile routes
 router.get('/profile', userController.getProfile);
 router.put('/profile', userController.updateProfile);
+router.delete('/profile', userController.deleteAccount);
+router.post('/profile/restore', userController.cancelAccountDeletion);
+router.get('/profile/export', userController.exportUserData);
+router.put('/profile/avatar', uploadImage('avatar'), uploadController.uploadAvatar);
+router.delete('/profile/avatar', uploadController.deleteAvatar);
 router.put('/preferences', userController.updatePreferences);
+router.post('/verify-email/resend', userController.resendVerificationEmail);
+router.put('/password', userController.changePassword);
+
+// Signed-in devices
+router.get('/sessions', sessionController.getSessions);
+router.delete('/sessions/:sessionId', sessionController.revokeSession);
+
+// Personal access tokens for scripts
+router.get('/tokens', personalAccessTokenController.getTokens);
+router.post('/tokens', personalAccessTokenController.createToken);
+router.delete('/tokens/:tokenId', personalAccessTokenController.revokeToken);
+
+// Invitation codes
+router.get('/invitations', invitationController.getInvitations);
+router.post('/invitations', invitationController.createInvitation);
+router.delete('/invitations/:invitationId', invitationController.revokeInvitation);
+
+// Two-factor authentication
+router.post('/2fa/setup', twoFactorController.setup);
+router.post('/2fa/enable', twoFactorController.enable);
+router.post('/2fa/disable', twoFactorController.disable);
+
+// Linked identity providers
+router.post('/oidc/:provider/link', oidcController.startLink);
+router.delete('/oidc/:provider/link', oidcController.unlink);
 
 // User search and discovery
 router.get('/search', userController.searchUsers);
 
+// Block and mute lists
+router.get('/blocks', blockController.getBlockedUsers);
+router.get('/mutes', blockController.getMutedUsers);
+
 // Get user by ID (public profile view)
 router.get('/:userId', userController.getUserById);
 router.get('/:userId/stats', userController.getUserStats);
+router.get('/:userId/badges', userController.getUserBadges);
+router.get('/:userId/footprint', userController.getUserFootprint);
+
+// Friendship management
+router.get('/:userId/friends', friendController.getFriends);
+router.post('/:userId/friends', friendController.sendFriendRequest);
+router.delete('/:userId/friends', friendController.removeFriend);
+router.get('/:userId/friends/requests', friendController.getFriendRequests);
+router.get('/:userId/friends/mutual', friendController.getMutualFriends);
+router.post('/:userId/friends/accept', friendController.acceptFriendRequest);
+router.post('/:userId/friends/decline', friendController.declineFriendRequest);
+
+// Blocking and muting
+router.post('/:userId/block', blockController.blockUser);
+router.delete('/:userId/block', blockController.unblockUser);
+router.post('/:userId/mute', blockController.muteUser);
+router.delete('/:userId/mute', blockController.unmuteUser);
 
 // Utility routes
 router.post('/batch', userController.getUsersByIds);
@@ -0,0 +1,62 @@
+// Converts journey destinations stored as { latitude, longitude } into GeoJSON
+// points so the 2dsphere index on destinations.coordinates can be used, then
+// builds the index. Entries without a valid position lose their coordinates.
+// Safe to run again: only journeys with old-style coordinates are touched.
+//
+//   npm run migrate:destinations
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const Journey = require('../models/journeyModel');
+const { isValidCoordinates, toGeoPoint } = require('../utils/geoUtils');
+const Logger = require('../utils/logger');
+
+const LEGACY_QUERY = {
+  $or: [
+    { 'destinations.coordinates.latitude': { $exists: true } },
+    { 'destinations.coordinates.longitude': { $exists: true } }
+  ]
+};
+
+const migrateDestination = (destination) => {
+  const { coordinates, ...rest } = destination;
+  if (!coordinates || coordinates.type === 'Point') return destination;
+  return isValidCoordinates(coordinates) ? { ...rest, coordinates: toGeoPoint(coordinates) } : rest;
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  let migrated = 0;
+  let skipped = 0;
+
+  // The raw collection skips the schema, which no longer matches the old shape
+  const cursor = Journey.collection.find(LEGACY_QUERY, { projection: { destinations: 1 } });
+
+  for await (const journey of cursor) {
+    // Only write when the destinations are unchanged since they were read
+    const result = await Journey.collection.updateOne(
+      { _id: journey._id, destinations: journey.destinations },
+      { $set: { destinations: journey.destinations.map(migrateDestination) } }
+    );
+
+    if (result.modifiedCount === 1) {
+      migrated += 1;
+    } else {
+      skipped += 1;
+      Logger.warn('Journey changed during migration, run again to convert it', { journeyId: journey._id.toString() });
+    }
+  }
+
+  await Journey.createIndexes();
+
+  Logger.success('Destination coordinates migrated to GeoJSON', { migrated, skipped });
+};
+
+migrate()
+  .catch(error => {
+    Logger.error('Destination coordinate migration failed', { error: error.message });
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -19,10 +19,16 @@ const userRoutes = require('./routes/userRoutes');
 const journeyRoutes = require('./routes/journeyRoutes');
 const chatRoutes = require('./routes/chatRoutes');
 const aiRoutes = require('./routes/aiRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
 
 // Import Socket.IO handler
 const { initChatSocket } = require('./sockets/chatSocket');
 
+// Import background jobs
+const { startAccountDeletionJob, stopAccountDeletionJob } = require('./jobs/accountDeletionJob');
+const { startDigestJob, stopDigestJob } = require('./jobs/digestJob');
+
 class TravelPlatformServer {
   constructor() {
     this.app = express();
@@ -68,6 +74,10 @@ class TravelPlatformServer {
         }
       });
 
+      // Start background jobs
+      startAccountDeletionJob();
+      startDigestJob();
+
       // Handle graceful shutdown
       this.setupGracefulShutdown();
 
@@ -103,6 +113,17 @@ class TravelPlatformServer {
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+    // Serve locally stored uploads (other storage adapters return their own URLs)
+    if (config.uploads.storage === 'local') {
+      this.app.use('/uploads', express.static(config.uploads.localDir, {
+        index: false,
+        setHeaders: (res) => {
+          // Let the frontend on another origin display the images
+          res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+        }
+      }));
+    }
+
     // Request logging middleware
     this.app.use(Logger.requestLogger);
 
@@ -127,7 +148,8 @@ class TravelPlatformServer {
           users: '/api/users',
           journeys: '/api/journeys',
           chat: '/api/chat',
-          ai: '/api/ai'
+          ai: '/api/ai',
+          admin: '/api/admin'
         },
         documentation: '/api/docs',
         health: '/health'
@@ -141,6 +163,8 @@ class TravelPlatformServer {
     this.app.use('/api/journeys', journeyRoutes);
     this.app.use('/api/chat', chatRoutes);
     this.app.use('/api/ai', aiRoutes);
+    this.app.use('/api/admin', adminRoutes);
+    this.app.use('/api/notifications', notificationRoutes);
 
     // Catch-all for undefined routes
     this.app.use('*', notFound);
@@ -183,6 +207,10 @@ class TravelPlatformServer {
         Logger.info('HTTP server closed');
         
         try {
+          // Stop background jobs
+          stopAccountDeletionJob();
+          stopDigestJob();
+
           // Close Socket.IO connections
           if (this.io) {
             this.io.close();
@@ -224,13 +252,55 @@ class TravelPlatformServer {
     Logger.info('🔐 Authentication:');
     Logger.info('  POST /api/users/register - Register new user');
     Logger.info('  POST /api/users/login - User login');
+    Logger.info('  POST /api/users/login/2fa - Complete login with two-factor code');
     Logger.info('  POST /api/users/verify-token - Verify JWT token');
+    Logger.info('  POST /api/users/refresh - Rotate refresh token');
+    Logger.info('  POST /api/users/logout - Revoke current tokens');
+    Logger.info('  POST /api/users/verify-email - Verify email address');
+    Logger.info('  POST /api/users/verify-email/resend - Resend verification email');
+    Logger.info('  POST /api/users/password/forgot - Request password reset');
+    Logger.info('  POST /api/users/password/reset - Reset password with token');
+    Logger.info('  POST /api/users/digest/unsubscribe - Unsubscribe from activity emails');
+    Logger.info('  PUT  /api/users/password - Change password');
+    Logger.info('  GET  /api/users/sessions - List signed-in devices');
+    Logger.info('  DELETE /api/users/sessions/:sessionId - Revoke a device session');
+    Logger.info('  GET  /api/users/tokens - List personal access tokens');
+    Logger.info('  POST /api/users/tokens - Create personal access token');
+    Logger.info('  DELETE /api/users/tokens/:tokenId - Revoke personal access token');
+    Logger.info('  GET  /api/users/invitations - List invitation codes');
+    Logger.info('  POST /api/users/invitations - Create invitation code');
+    Logger.info('  DELETE /api/users/invitations/:invitationId - Revoke invitation code');
+    Logger.info('  POST /api/users/2fa/setup - Start two-factor setup');
+    Logger.info('  POST /api/users/2fa/enable - Enable two-factor authentication');
+    Logger.info('  POST /api/users/2fa/disable - Disable two-factor authentication');
+    Logger.info('  GET  /api/users/oidc/providers - List identity providers');
+    Logger.info('  GET  /api/users/oidc/:provider/authorize - Start identity provider login');
+    Logger.info('  GET  /api/users/oidc/:provider/callback - Identity provider callback');
+    Logger.info('  POST /api/users/oidc/:provider/link - Link identity provider');
+    Logger.info('  DELETE /api/users/oidc/:provider/link - Unlink identity provider');
     Logger.info('');
     Logger.info('👤 User Management:');
     Logger.info('  GET  /api/users/profile - Get current user profile');
     Logger.info('  PUT  /api/users/profile - Update user profile');
+    Logger.info('  DELETE /api/users/profile - Schedule account deletion');
+    Logger.info('  POST /api/users/profile/restore - Cancel account deletion');
+    Logger.info('  GET  /api/users/profile/export?format=json|zip - Export personal data');
+    Logger.info('  PUT  /api/users/profile/avatar - Upload avatar');
+    Logger.info('  DELETE /api/users/profile/avatar - Remove avatar');
     Logger.info('  GET  /api/users/search - Search users');
     Logger.info('  GET  /api/users/:userId - Get user by ID');
+    Logger.info('  GET  /api/users/:userId/badges - Achievement badges');
+    Logger.info('  GET  /api/users/:userId/footprint - Travel footprint map');
+    Logger.info('  GET  /api/users/:userId/friends - List friends');
+    Logger.info('  POST /api/users/:userId/friends - Send friend request');
+    Logger.info('  POST /api/users/:userId/friends/accept - Accept friend request');
+    Logger.info('  POST /api/users/:userId/friends/decline - Decline friend request');
+    Logger.info('  DELETE /api/users/:userId/friends - Remove friend');
+    Logger.info('  GET  /api/users/:userId/friends/mutual - Mutual friends');
+    Logger.info('  POST /api/users/:userId/block - Block user');
+    Logger.info('  POST /api/users/:userId/mute - Mute user');
+    Logger.info('  GET  /api/users/blocks - List blocked users');
+    Logger.info('  GET  /api/users/mutes - List muted users');
     Logger.info('');
     Logger.info('🗺️  Journey Management:');
     Logger.info('  GET  /api/journeys/public - Get public journeys');
@@ -238,7 +308,21 @@ class TravelPlatformServer {
     Logger.info('  GET  /api/journeys/:journeyId - Get journey by ID');
     Logger.info('  PUT  /api/journeys/:journeyId - Update journey');
     Logger.info('  DELETE /api/journeys/:journeyId - Delete journey');
+    Logger.info('  PUT  /api/journeys/:journeyId/cover - Upload cover image');
+    Logger.info('  POST /api/journeys/:journeyId/photos - Upload journey photos');
+    Logger.info('  POST /api/journeys/:journeyId/destinations/:destinationId/photos - Upload destination photos');
+    Logger.info('  POST /api/journeys/:journeyId/destinations - Add destination');
+    Logger.info('  PUT  /api/journeys/:journeyId/destinations/order - Reorder destinations');
+    Logger.info('  PUT  /api/journeys/:journeyId/destinations/:destinationId - Update destination');
+    Logger.info('  DELETE /api/journeys/:journeyId/destinations/:destinationId - Remove destination');
+    Logger.info('  PUT  /api/journeys/:journeyId/itinerary/order - Reorder itinerary days');
+    Logger.info('  PUT  /api/journeys/:journeyId/itinerary/:day - Add or update itinerary day');
+    Logger.info('  DELETE /api/journeys/:journeyId/itinerary/:day - Remove itinerary day');
+    Logger.info('  DELETE /api/journeys/:journeyId/photos/:uploadId - Delete uploaded photo');
     Logger.info('  GET  /api/journeys/search - Search journeys');
+    Logger.info('  GET  /api/journeys/nearby?lat&lng&radius - Public journeys near a point');
+    Logger.info('  GET  /api/journeys/in-bounds?bbox= - Public journeys inside a bounding box');
+    Logger.info('  GET  /api/journeys/map/clusters?bbox&zoom - Clustered public destinations for a map');
     Logger.info('');
     Logger.info('💬 Chat System:');
     Logger.info('  POST /api/chat/group-planning - Create group planning chat');
@@ -247,6 +331,12 @@ class TravelPlatformServer {
     Logger.info('  GET  /api/chat/room/:roomId/history - Get chat history');
     Logger.info('  GET  /api/chat/my-chats - Get user\'s active chats');
     Logger.info('');
+    Logger.info('🔔 Notifications:');
+    Logger.info('  GET  /api/notifications - List notifications');
+    Logger.info('  GET  /api/notifications/unread-count - Unread notification count');
+    Logger.info('  POST /api/notifications/:notificationId/read - Mark notification as read');
+    Logger.info('  POST /api/notifications/read-all - Mark all notifications as read');
+    Logger.info('');
     Logger.info('🤖 AI Travel Assistant:');
     Logger.info('  POST /api/ai/assistant - Main AI travel assistant');
     Logger.info('  POST /api/ai/recommendations - Get destination recommendations');
@@ -255,6 +345,15 @@ class TravelPlatformServer {
     Logger.info('  POST /api/ai/faq - FAQ responses');
     Logger.info('  GET  /api/ai/status - AI service status');
     Logger.info('');
+    Logger.info('🛡️  Admin (admin role required):');
+    Logger.info('  GET  /api/admin/stats - Platform totals');
+    Logger.info('  GET  /api/admin/users - List and search users');
+    Logger.info('  POST /api/admin/users/:userId/suspend - Suspend user');
+    Logger.info('  POST /api/admin/users/:userId/unsuspend - Unsuspend user');
+    Logger.info('  GET  /api/admin/invitations - Invitation code usage report');
+    Logger.info('  DELETE /api/admin/journeys/:journeyId - Force-delete journey');
+    Logger.info('  DELETE /api/admin/messages/:messageId - Force-delete message');
+    Logger.info('');
     Logger.info('🔧 Utility:');
     Logger.info('  GET  /health - Health check');
     Logger.info('  GET  /api - API information');
@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const Journey = require('../models/journeyModel');
+const Message = require('../models/messageModel');
+const Friendship = require('../models/friendshipModel');
+const Notification = require('../models/notificationModel');
+const Invitation = require('../models/invitationModel');
+const PersonalAccessToken = require('../models/personalAccessTokenModel');
+const Session = require('../models/sessionModel');
+const tokenService = require('./tokenService');
+const uploadService = require('./uploadService');
+const sessionService = require('./sessionService');
+const twoFactorService = require('./twoFactorService');
+const { accountDeletionGraceDays, reauthWindow } = require('../config/config');
+const { setCache, deleteCache, deleteCachePattern } = require('../utils/redisClient');
+const { createZip } = require('../utils/zipUtils');
+const Logger = require('../utils/logger');
+
+const DELETED_MESSAGE_CONTENT = 'Message from deleted user';
+const REAUTH_FIELDS = '+password +twoFactorSecret +twoFactorRecoveryCodes';
+
+class AccountService {
+  // Confirm it is the account holder before a sensitive change. Accounts with a
+  // password confirm it; password-less (identity provider only) accounts give a
+  // two-factor code or use a session they signed in to within reauthWindow.
+  // Expects a user selected with REAUTH_FIELDS.
+  async verifyIdentity(user, { password, code, sessionId } = {}) {
+    if (user.password) {
+      return user.comparePassword(password);
+    }
+    if (user.twoFactorEnabled && code) {
+      return twoFactorService.verifyUserCode(user, code);
+    }
+    return sessionService.isRecentLogin(user._id, sessionId, reauthWindow);
+  }
+
+  async findUserForReauth(userId) {
+    return User.findById(userId).select(REAUTH_FIELDS);
+  }
+
+  // Schedule account deletion after the grace period
+  async requestAccountDeletion(userId, { password, code, sessionId } = {}) {
+    const startTime = Date.now();
+
+    try {
+      const user = await this.findUserForReauth(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (!(await this.verifyIdentity(user, { password, code, sessionId }))) {
+        throw new Error(user.password ? 'Password is incorrect' : 'Please sign in again to confirm this change');
+      }
+
+      user.deletionRequestedAt = new Date();
+      user.deletionScheduledFor = new Date(Date.now() + accountDeletionGraceDays * 24 * 60 * 60 * 1000);
+      await user.save({ validateBeforeSave: false });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      await setCache(`user:${userId}`, user.getPublicProfile(), 3600);
+
+      return {
+        success: true,
+        message: `Account scheduled for deletion in ${accountDeletionGraceDays} days`,
+        deletionScheduledFor: user.deletionScheduledFor
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Cancel a pending deletion during the grace period
+  async cancelAccountDeletion(userId) {
+    const startTime = Date.now();
+
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (!user.deletionScheduledFor) {
+        throw new Error('Account is not scheduled for deletion');
+      }
+
+      user.deletionRequestedAt = undefined;
+      user.deletionScheduledFor = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      await setCache(`user:${userId}`, user.getPublicProfile(), 3600);
+
+      return {
+        success: true,
+        message: 'Account deletion cancelled'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Anonymize every account whose grace period has ended
+  async processScheduledDeletions() {
+    const dueUsers = await User.find({
+      deletionScheduledFor: { $lte: new Date() },
+      isDeleted: false
+    }).select('_id');
+
+    let processed = 0;
+    for (const { _id } of dueUsers) {
+      try {
+        await this.anonymizeUser(_id.toString());
+        processed += 1;
+      } catch (error) {
+        Logger.error('Failed to anonymize account', { userId: _id, error: error.message });
+      }
+    }
+
+    return processed;
+  }
+
+  // Remove personal data while keeping shared content consistent
+  async anonymizeUser(userId) {
+    const startTime = Date.now();
+
+    try {
+      const user = await User.findById(userId).select('+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes');
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      await this.reassignOrDeleteJourneys(userId);
+
+      // Drop the user's likes and comments, then refresh the affected counters
+      const interactedJourneyIds = await Journey.find({
+        $or: [{ 'likes.user': userId }, { 'comments.user': userId }]
+      }).distinct('_id');
+
+      await Journey.updateMany(
+        { _id: { $in: interactedJourneyIds } },
+        { $pull: { likes: { user: userId }, comments: { user: userId } } }
+      );
+      await Journey.updateMany(
+        { _id: { $in: interactedJourneyIds } },
+        [{ $set: { 'stats.likes': { $size: '$likes' }, 'stats.comments': { $size: '$comments' } } }]
+      );
+
+      await Journey.updateMany(
+        { 'collaborators.user': userId },
+        { $pull: { collaborators: { user: userId } } }
+      );
+
+      // Scrub authored messages and remove the user's receipts and reactions elsewhere
+      await Message.updateMany(
+        { sender: userId },
+        {
+          $set: { content: DELETED_MESSAGE_CONTENT, attachments: [] },
+          $unset: { originalContent: 1, location: 1 }
+        }
+      );
+      await Message.updateMany(
+        { $or: [{ 'readBy.user': userId }, { 'reactions.user': userId }] },
+        { $pull: { readBy: { user: userId }, reactions: { user: userId } } }
+      );
+
+      await Friendship.deleteMany({ $or: [{ requester: userId }, { recipient: userId }] });
+      await Notification.deleteMany({ $or: [{ recipient: userId }, { actor: userId }] });
+      await Invitation.updateMany({ createdBy: userId, revokedAt: null }, { revokedAt: new Date() });
+      await PersonalAccessToken.deleteMany({ user: userId });
+      await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+      await User.updateMany(
+        { $or: [{ blockedUsers: userId }, { mutedUsers: userId }] },
+        { $pull: { blockedUsers: userId, mutedUsers: userId } }
+      );
+
+      // Keep the document so existing references resolve to a "deleted user"
+      const suffix = userId.slice(-16);
+      user.username = `deleted_${suffix}`;
+      user.email = `deleted_${userId}@deleted.invalid`;
+      user.password = crypto.randomBytes(32).toString('hex'); // hashed by pre('save')
+      user.firstName = 'Deleted';
+      user.lastName = 'User';
+      user.avatar = null;
+      await uploadService.deleteUploads({ owner: userId, purpose: 'avatar' });
+      user.bio = undefined;
+      user.location = undefined;
+      user.interests = [];
+      user.travelProfile = undefined;
+      user.blockedUsers = [];
+      user.mutedUsers = [];
+      user.identities = [];
+      user.twoFactorEnabled = false;
+      user.twoFactorSecret = undefined;
+      user.twoFactorPendingSecret = undefined;
+      user.twoFactorRecoveryCodes = [];
+      user.invitedBy = undefined;
+      user.invitation = undefined;
+      user.lastDigestSentAt = undefined;
+      user.preferences.privacy.profileVisibility = 'private';
+      user.preferences.notifications = { email: false, push: false, chat: false };
+      user.isDeleted = true;
+      user.deletedAt = new Date();
+      user.deletionScheduledFor = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      await tokenService.revokeAllForUser(userId);
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+      Logger.info('Account anonymized', { userId });
+
+      await deleteCache(`user:${userId}`);
+      await deleteCache(`friends:${userId}`);
+      await deleteCache(`blocks:${userId}`);
+      await deleteCachePattern('journey:*');
+      await deleteCachePattern('journeys:*');
+      await deleteCachePattern('chat_history:*');
+
+      return true;
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Hand journeys to an editor collaborator when there is one, otherwise delete them
+  async reassignOrDeleteJourneys(userId) {
+    const journeys = await Journey.find({ creator: userId });
+
+    for (const journey of journeys) {
+      const editor = journey.collaborators.find(collab => collab.role === 'editor');
+
+      if (editor) {
+        journey.creator = editor.user;
+        journey.collaborators = journey.collaborators.filter(
+          collab => collab.user.toString() !== editor.user.toString()
+        );
+        await journey.save();
+        await User.findByIdAndUpdate(editor.user, { $inc: { 'stats.journeysCreated': 1 } });
+      } else {
+        await Journey.findByIdAndDelete(journey._id);
+        await uploadService.deleteUploads({ journey: journey._id });
+      }
+    }
+  }
+
+  // The export bundle as a ZIP archive with one JSON file per section
+  createExportArchive(bundle) {
+    const { exportedAt, ...sections } = bundle;
+
+    return createZip(
+      Object.entries(sections).map(([section, data]) => ({
+        name: `${section}.json`,
+        content: JSON.stringify(data, null, 2)
+      })),
+      new Date(exportedAt)
+    );
+  }
+
+  // Collect all personal data of a user into a portable bundle
+  async exportUserData(userId) {
+    const startTime = Date.now();
+
+    try {
+      const user = await User.findById(userId)
+        .populate('blockedUsers', 'username')
+        .populate('mutedUsers', 'username');
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const [createdJourneys, collaborations, commentedJourneys, messages, friendships] = await Promise.all([
+        Journey.find({ creator: userId }).lean(),
+        Journey.find({ 'collaborators.user': userId })
+          .select('title collaborators.$ createdAt')
+          .lean(),
+        Journey.find({ 'comments.user': userId })
+          .select('title comments')
+          .lean(),
+        Message.find({ sender: userId })
+          .select('content messageType chatRoom chatType journeyId location attachments editedAt isDeleted createdAt')
+          .sort({ createdAt: 1 })
+          .lean(),
+        Friendship.find({ $or: [{ requester: userId }, { recipient: userId }] })
+          .populate('requester', 'username')
+          .populate('recipient', 'username')
+          .lean()
+      ]);
+
+      const comments = commentedJourneys.flatMap(journey =>
+        journey.comments
+          .filter(comment => comment.user.toString() === userId)
+          .map(comment => ({
+            journeyId: journey._id,
+            journeyTitle: journey.title,
+            content: comment.content,
+            createdAt: comment.createdAt
+          }))
+      );
+
+      const profile = user.getPublicProfile();
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'users/journeys/messages', duration);
+
+      return {
+        exportedAt: new Date().toISOString(),
+        profile: {
+          ...profile,
+          blockedUsers: user.blockedUsers.map(blocked => blocked.username),
+          mutedUsers: user.mutedUsers.map(muted => muted.username)
+        },
+        journeys: createdJourneys,
+        collaborations: collaborations.map(journey => ({
+          journeyId: journey._id,
+          title: journey.title,
+          role: journey.collaborators[0]?.role,
+          joinedAt: journey.collaborators[0]?.joinedAt
+        })),
+        comments,
+        messages,
+        friendships: friendships.map(friendship => ({
+          requester: friendship.requester?.username,
+          recipient: friendship.recipient?.username,
+          status: friendship.status,
+          createdAt: friendship.createdAt
+        }))
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'users/journeys/messages', duration, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AccountService();
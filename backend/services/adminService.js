@@ -0,0 +1,300 @@
+const User = require('../models/userModel');
+const Journey = require('../models/journeyModel');
+const Message = require('../models/messageModel');
+const Invitation = require('../models/invitationModel');
+const tokenService = require('./tokenService');
+const invitationService = require('./invitationService');
+const { setCache, getCache } = require('../utils/redisClient');
+const { escapeRegex } = require('../utils/searchUtils');
+const Logger = require('../utils/logger');
+
+const ADMIN_USER_FIELDS = 'username email firstName lastName avatar role isVerified isSuspended suspendedAt suspensionReason stats createdAt';
+
+class AdminService {
+  // List and search users
+  async listUsers(filters = {}, page = 1, limit = 20) {
+    const startTime = Date.now();
+
+    try {
+      const skip = (page - 1) * limit;
+      const query = {};
+
+      if (filters.q) {
+        const searchRegex = new RegExp(escapeRegex(filters.q), 'i');
+        query.$or = [
+          { username: searchRegex },
+          { email: searchRegex },
+          { firstName: searchRegex },
+          { lastName: searchRegex }
+        ];
+      }
+      if (filters.role) {
+        query.role = filters.role;
+      }
+      if (typeof filters.suspended === 'boolean') {
+        query.isSuspended = filters.suspended;
+      }
+      if (typeof filters.verified === 'boolean') {
+        query.isVerified = filters.verified;
+      }
+
+      const [users, total] = await Promise.all([
+        User.find(query)
+          .select(ADMIN_USER_FIELDS)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        User.countDocuments(query)
+      ]);
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'users', duration);
+
+      return {
+        users,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalUsers: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Suspend or reinstate an account
+  async setUserSuspended(adminId, userId, suspended, reason = null) {
+    const startTime = Date.now();
+
+    try {
+      if (adminId === userId) {
+        throw new Error('Cannot change suspension status of your own account');
+      }
+
+      const update = suspended
+        ? { isSuspended: true, suspendedAt: new Date(), suspensionReason: reason }
+        : { isSuspended: false, $unset: { suspendedAt: 1, suspensionReason: 1 } };
+
+      const user = await User.findByIdAndUpdate(userId, update, { new: true, runValidators: true });
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      // Suspension signs the user out everywhere
+      if (suspended) {
+        await tokenService.revokeAllForUser(userId);
+      }
+
+      await setCache(`user:${userId}`, user.getPublicProfile(), 3600);
+
+      return {
+        success: true,
+        message: suspended ? 'User suspended' : 'User unsuspended',
+        user: user.getPublicProfile()
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Invitation code usage across the platform
+  async getInvitationReport(filters = {}, page = 1, limit = 20) {
+    const startTime = Date.now();
+
+    try {
+      const now = new Date();
+      const skip = (page - 1) * limit;
+      const query = invitationService.statusQuery(filters.status, now);
+      if (filters.createdBy) {
+        query.createdBy = filters.createdBy;
+      }
+
+      const [invitations, total, totals, statusCounts, invitedUsers, topInviters] = await Promise.all([
+        Invitation.find(query)
+          .populate('createdBy', 'username email')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        Invitation.countDocuments(query),
+        Invitation.aggregate([
+          { $group: { _id: null, codes: { $sum: 1 }, uses: { $sum: '$uses' } } }
+        ]),
+        Promise.all(['active', 'expired', 'used_up', 'revoked'].map(status =>
+          Invitation.countDocuments(invitationService.statusQuery(status, now))
+        )),
+        User.aggregate([
+          { $match: { invitation: { $ne: null } } },
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              verified: { $sum: { $cond: ['$isVerified', 1, 0] } }
+            }
+          }
+        ]),
+        User.aggregate([
+          { $match: { invitedBy: { $ne: null } } },
+          {
+            $group: {
+              _id: '$invitedBy',
+              invited: { $sum: 1 },
+              verified: { $sum: { $cond: ['$isVerified', 1, 0] } }
+            }
+          },
+          { $sort: { invited: -1 } },
+          { $limit: 10 },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'inviter' } },
+          { $unwind: '$inviter' },
+          { $project: { _id: 0, userId: '$_id', username: '$inviter.username', invited: 1, verified: 1 } }
+        ])
+      ]);
+
+      // Registrations per code on this page, to compare with the use counter
+      const registrations = await User.aggregate([
+        { $match: { invitation: { $in: invitations.map(invitation => invitation._id) } } },
+        {
+          $group: {
+            _id: '$invitation',
+            registered: { $sum: 1 },
+            verified: { $sum: { $cond: ['$isVerified', 1, 0] } }
+          }
+        }
+      ]);
+      const registrationsByCode = new Map(registrations.map(entry => [entry._id.toString(), entry]));
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('AGGREGATE', 'invitations/users', duration);
+
+      const [active, expired, usedUp, revoked] = statusCounts;
+
+      return {
+        summary: {
+          codes: totals[0]?.codes || 0,
+          uses: totals[0]?.uses || 0,
+          byStatus: { active, expired, used_up: usedUp, revoked },
+          invitedUsers: invitedUsers[0]?.total || 0,
+          verifiedInvitedUsers: invitedUsers[0]?.verified || 0
+        },
+        topInviters,
+        invitations: invitations.map(invitation => ({
+          ...invitationService.toPublic(invitation, now),
+          createdBy: invitation.createdBy,
+          registeredUsers: registrationsByCode.get(invitation._id.toString())?.registered || 0,
+          verifiedUsers: registrationsByCode.get(invitation._id.toString())?.verified || 0
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalInvitations: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('AGGREGATE', 'invitations/users', duration, error);
+      throw error;
+    }
+  }
+
+  // Platform-wide totals
+  async getPlatformStats() {
+    const startTime = Date.now();
+
+    try {
+      const cachedStats = await getCache('admin:stats');
+      if (cachedStats) {
+        return cachedStats;
+      }
+
+      const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+      const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+      const [
+        totalUsers,
+        verifiedUsers,
+        suspendedUsers,
+        adminUsers,
+        newUsersThisWeek,
+        totalJourneys,
+        journeysByStatus,
+        journeysByVisibility,
+        newJourneysThisWeek,
+        totalMessages,
+        messagesLast24h,
+        messagesByChatType
+      ] = await Promise.all([
+        User.countDocuments(),
+        User.countDocuments({ isVerified: true }),
+        User.countDocuments({ isSuspended: true }),
+        User.countDocuments({ role: 'admin' }),
+        User.countDocuments({ createdAt: { $gte: weekAgo } }),
+        Journey.countDocuments(),
+        Journey.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+        Journey.aggregate([{ $group: { _id: '$visibility', count: { $sum: 1 } } }]),
+        Journey.countDocuments({ createdAt: { $gte: weekAgo } }),
+        Message.countDocuments({ isDeleted: false }),
+        Message.countDocuments({ isDeleted: false, createdAt: { $gte: dayAgo } }),
+        Message.aggregate([
+          { $match: { isDeleted: false } },
+          { $group: { _id: '$chatType', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const toCountMap = (groups) => groups.reduce((counts, group) => {
+        counts[group._id] = group.count;
+        return counts;
+      }, {});
+
+      const stats = {
+        users: {
+          total: totalUsers,
+          verified: verifiedUsers,
+          suspended: suspendedUsers,
+          admins: adminUsers,
+          newThisWeek: newUsersThisWeek
+        },
+        journeys: {
+          total: totalJourneys,
+          byStatus: toCountMap(journeysByStatus),
+          byVisibility: toCountMap(journeysByVisibility),
+          newThisWeek: newJourneysThisWeek
+        },
+        messages: {
+          total: totalMessages,
+          last24Hours: messagesLast24h,
+          byChatType: toCountMap(messagesByChatType)
+        },
+        generatedAt: new Date().toISOString()
+      };
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('AGGREGATE', 'users/journeys/messages', duration);
+
+      // Cache for 5 minutes
+      await setCache('admin:stats', stats, 300);
+
+      return stats;
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('AGGREGATE', 'users/journeys/messages', duration, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AdminService();
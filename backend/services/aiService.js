@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const axios = require('axios');
+const userService = require('./userService');
 const { openrouterApiKey } = require('../config/config');
 const { setCache, getCache } = require('../utils/redisClient');
 const Logger = require('../utils/logger');
@@ -30,8 +32,9 @@ Keep responses concise but comprehensive, and always maintain a helpful, enthusi
     const startTime = Date.now();
     
     try {
-      // Check cache first (for common questions)
-      const cacheKey = `ai_response:${Buffer.from(query).toString('base64').slice(0, 50)}`;
+      // Check cache first (for common questions). The whole query is hashed because
+      // generated prompts share long prefixes and may contain profile details.
+      const cacheKey = `ai_response:${crypto.createHash('sha256').update(query).digest('hex')}`;
       const cachedResponse = await getCache(cacheKey);
       
       if (cachedResponse) {
@@ -122,16 +125,26 @@ Keep responses concise but comprehensive, and always maintain a helpful, enthusi
     }
   }
 
-  async getDestinationRecommendations(preferences, budget = null, travelDates = null) {
-    const query = this.buildRecommendationQuery(preferences, budget, travelDates);
+  // Request values take precedence; the user's travel profile fills in the rest
+  async getDestinationRecommendations(preferences = {}, budget = null, travelDates = null, userId = null) {
+    const travelerProfile = await this.getTravelerProfile(userId);
+    const query = this.buildRecommendationQuery(preferences, budget, travelDates, travelerProfile);
     return await this.getTravelAnswer(query);
   }
 
-  async getItinerarySuggestions(destination, duration, interests, budget = null) {
+  async getItinerarySuggestions(destination, duration, interests = [], budget = null, userId = null) {
+    const travelerProfile = await this.getTravelerProfile(userId);
+
+    const effectiveInterests = interests.length > 0 ? interests : (travelerProfile?.interests || []);
+    if (effectiveInterests.length === 0) {
+      throw new Error('At least one interest is required');
+    }
+    const effectiveBudget = budget || this.formatBudget(travelerProfile?.budget);
+
     const query = `Create a ${duration}-day itinerary for ${destination}. 
-    Interests: ${interests.join(', ')}
-    ${budget ? `Budget: ${budget}` : ''}
-    
+    Interests: ${effectiveInterests.join(', ')}
+    ${effectiveBudget ? `Budget: ${effectiveBudget}` : ''}
+    ${this.buildTravelerNeeds(travelerProfile)}
     Please provide a day-by-day breakdown with specific recommendations for activities, restaurants, and accommodations.`;
     
     return await this.getTravelAnswer(query);
@@ -150,21 +163,69 @@ Keep responses concise but comprehensive, and always maintain a helpful, enthusi
     return await this.getTravelAnswer(query);
   }
 
-  buildRecommendationQuery(preferences, budget, travelDates) {
-    let query = 'Recommend travel destinations based on these preferences:\n';
-    
-    if (preferences.climate) query += `- Climate: ${preferences.climate}\n`;
-    if (preferences.activities) query += `- Activities: ${preferences.activities.join(', ')}\n`;
-    if (preferences.culture) query += `- Cultural interests: ${preferences.culture}\n`;
-    if (preferences.travelStyle) query += `- Travel style: ${preferences.travelStyle}\n`;
-    if (budget) query += `- Budget: ${budget}\n`;
-    if (travelDates) query += `- Travel dates: ${travelDates}\n`;
+  buildRecommendationQuery(preferences, budget, travelDates, travelerProfile = null) {
+    const profile = travelerProfile || {};
+    const activities = preferences.activities || (profile.interests?.length ? profile.interests : null);
+    const travelStyle = preferences.travelStyle || (profile.travelStyles?.length ? profile.travelStyles.join(' or ') : null);
+    const effectiveBudget = budget || this.formatBudget(profile.budget);
+    const homeCity = profile.homeCity?.name
+      ? [profile.homeCity.name, profile.homeCity.country].filter(Boolean).join(', ')
+      : null;
+
+    let criteria = '';
+    if (preferences.climate) criteria += `- Climate: ${preferences.climate}\n`;
+    if (activities) criteria += `- Activities: ${activities.join(', ')}\n`;
+    if (preferences.culture) criteria += `- Cultural interests: ${preferences.culture}\n`;
+    if (travelStyle) criteria += `- Travel style: ${travelStyle}\n`;
+    if (effectiveBudget) criteria += `- Budget: ${effectiveBudget}\n`;
+    if (travelDates) criteria += `- Travel dates: ${travelDates}\n`;
+    if (homeCity) criteria += `- Traveling from: ${homeCity}\n`;
+
+    if (!criteria) {
+      throw new Error('Travel preferences are required');
+    }
+
+    let query = 'Recommend travel destinations based on these preferences:\n' + criteria;
+    query += this.buildTravelerNeeds(travelerProfile);
     
     query += '\nPlease suggest 3-5 destinations with brief explanations of why they match these preferences.';
     
     return query;
   }
 
+  // Profile for personalization; suggestions still work without one
+  async getTravelerProfile(userId) {
+    if (!userId) return null;
+
+    try {
+      return await userService.getTravelerProfile(userId);
+    } catch (error) {
+      Logger.warn('Could not load traveler profile for AI request', { userId, error: error.message });
+      return null;
+    }
+  }
+
+  formatBudget(budget) {
+    if (!budget || (budget.min == null && budget.max == null)) return null;
+
+    const currency = budget.currency || 'USD';
+    if (budget.min != null && budget.max != null) return `${budget.min}-${budget.max} ${currency}`;
+    if (budget.max != null) return `up to ${budget.max} ${currency}`;
+    return `from ${budget.min} ${currency}`;
+  }
+
+  // Languages and dietary/accessibility needs that suggestions should respect
+  buildTravelerNeeds(travelerProfile) {
+    if (!travelerProfile) return '';
+
+    let needs = '';
+    if (travelerProfile.languages?.length) needs += `- Languages spoken: ${travelerProfile.languages.join(', ')}\n`;
+    if (travelerProfile.dietaryNeeds?.length) needs += `- Dietary needs: ${travelerProfile.dietaryNeeds.join(', ')}\n`;
+    if (travelerProfile.accessibilityNeeds?.length) needs += `- Accessibility needs: ${travelerProfile.accessibilityNeeds.join(', ')}\n`;
+
+    return needs ? `Traveler needs:\n${needs}` : '';
+  }
+
   // FAQ responses for common questions
   async getFAQResponse(question) {
     const faqPrompt = `You are answering a frequently asked question about travel. 
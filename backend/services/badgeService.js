@@ -0,0 +1,212 @@
+const User = require('../models/userModel');
+const Journey = require('../models/journeyModel');
+const Message = require('../models/messageModel');
+const { deleteCache } = require('../utils/redisClient');
+const Logger = require('../utils/logger');
+
+// Badge rules: a badge is awarded once its metric reaches the threshold.
+// `events` lists the activity that can move the metric, so only those rules
+// are re-evaluated when something happens.
+const BADGE_RULES = [
+  {
+    key: 'first_journey',
+    name: 'First Steps',
+    description: 'Created a first journey',
+    metric: 'journeysCreated',
+    threshold: 1,
+    events: ['journey_created']
+  },
+  {
+    key: 'first_completed_journey',
+    name: 'Journey Complete',
+    description: 'Completed a first journey',
+    metric: 'journeysCompleted',
+    threshold: 1,
+    events: ['journey_completed']
+  },
+  {
+    key: 'seasoned_traveler',
+    name: 'Seasoned Traveler',
+    description: 'Completed 10 journeys',
+    metric: 'journeysCompleted',
+    threshold: 10,
+    events: ['journey_completed']
+  },
+  {
+    key: 'countries_5',
+    name: 'Globetrotter',
+    description: 'Visited 5 countries',
+    metric: 'countriesVisited',
+    threshold: 5,
+    events: ['journey_completed']
+  },
+  {
+    key: 'countries_15',
+    name: 'World Explorer',
+    description: 'Visited 15 countries',
+    metric: 'countriesVisited',
+    threshold: 15,
+    events: ['journey_completed']
+  },
+  {
+    key: 'qa_helper',
+    name: 'Helpful Guide',
+    description: 'Answered 10 Q&A questions about your journeys',
+    metric: 'qaAnswers',
+    threshold: 10,
+    events: ['qa_answered']
+  }
+];
+
+// Walk Q&A messages sorted by room and time, counting asker questions that got a reply from userId
+const countAnsweredQuestions = (messages, userId) => {
+  let answered = 0;
+  let room = null;
+  let questionPending = false;
+
+  for (const message of messages) {
+    if (message.chatRoom !== room) {
+      room = message.chatRoom;
+      questionPending = false;
+    }
+
+    const senderId = message.sender.toString();
+    const askerId = room.split('_')[2];
+    if (senderId === askerId) {
+      questionPending = true;
+    } else if (senderId === userId.toString() && questionPending) {
+      answered += 1;
+      questionPending = false;
+    }
+  }
+
+  return answered;
+};
+
+class BadgeService {
+  constructor() {
+    // Metric name -> async (userId) => number
+    this.metrics = {
+      journeysCreated: async (userId) => {
+        const user = await User.findById(userId).select('stats.journeysCreated').lean();
+        return user?.stats?.journeysCreated || 0;
+      },
+      // Completed journeys the user took part in, as creator or collaborator
+      journeysCompleted: (userId) => Journey.countDocuments({
+        status: 'completed',
+        $or: [{ creator: userId }, { 'collaborators.user': userId }]
+      }),
+      // Distinct countries across the destinations of completed journeys the user took part in
+      countriesVisited: async (userId) => {
+        const countries = await Journey.distinct('destinations.country', {
+          status: 'completed',
+          $or: [{ creator: userId }, { 'collaborators.user': userId }]
+        });
+        return new Set(
+          countries.filter(Boolean).map(country => country.trim().toLowerCase())
+        ).size;
+      },
+      // Questions the user answered in Q&A rooms (named qa_<journeyId>_<askerId>).
+      // Consecutive messages from the asker make up one question, which counts
+      // as answered once the user replies after it, however many replies follow.
+      qaAnswers: async (userId) => {
+        const rooms = await Message.distinct('chatRoom', {
+          sender: userId,
+          chatType: 'qa_chat',
+          isDeleted: { $ne: true },
+          chatRoom: { $not: new RegExp(`_${userId}$`) }
+        });
+        if (rooms.length === 0) return 0;
+
+        const messages = await Message.find({
+          chatRoom: { $in: rooms },
+          messageType: { $ne: 'system' },
+          isDeleted: { $ne: true }
+        })
+          .select('chatRoom sender')
+          .sort({ chatRoom: 1, createdAt: 1 })
+          .lean();
+
+        return countAnsweredQuestions(messages, userId);
+      }
+    };
+  }
+
+  get rules() {
+    return BADGE_RULES;
+  }
+
+  // Re-check the rules tied to an event and award any newly earned badges.
+  // Badges are a side effect of the triggering action, so failures are only logged.
+  async handleEvent(event, userId) {
+    const startTime = Date.now();
+
+    try {
+      const user = await User.findById(userId).select('badges').lean();
+      if (!user) return [];
+
+      const earnedKeys = new Set((user.badges || []).map(badge => badge.key));
+      const candidates = BADGE_RULES.filter(rule =>
+        rule.events.includes(event) && !earnedKeys.has(rule.key)
+      );
+
+      const metricValues = new Map();
+      const awarded = [];
+
+      for (const rule of candidates) {
+        if (!metricValues.has(rule.metric)) {
+          metricValues.set(rule.metric, await this.metrics[rule.metric](userId));
+        }
+        if (metricValues.get(rule.metric) >= rule.threshold) {
+          if (await this.awardBadge(userId, rule.key)) {
+            awarded.push(rule.key);
+          }
+        }
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      if (awarded.length > 0) {
+        await deleteCache(`user:${userId}`);
+        Logger.info('Badges awarded', { userId, event, badges: awarded });
+      }
+
+      return awarded;
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      Logger.error('Failed to evaluate badges', { userId, event, error: error.message });
+      return [];
+    }
+  }
+
+  // Returns false when the badge was already held; the filter keeps concurrent awards unique
+  async awardBadge(userId, key) {
+    const result = await User.updateOne(
+      { _id: userId, 'badges.key': { $ne: key } },
+      { $push: { badges: { key, awardedAt: new Date() } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Awarded badges with their display details, most recent first
+  describeBadges(badges = []) {
+    return badges
+      .map(badge => {
+        const rule = BADGE_RULES.find(candidate => candidate.key === badge.key);
+        if (!rule) return null;
+        return {
+          key: rule.key,
+          name: rule.name,
+          description: rule.description,
+          awardedAt: badge.awardedAt
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.awardedAt) - new Date(a.awardedAt));
+  }
+}
+
+module.exports = new BadgeService();
@@ -0,0 +1,163 @@
+const User = require('../models/userModel');
+const Friendship = require('../models/friendshipModel');
+const friendService = require('./friendService');
+const { setCache, getCache, deleteCache } = require('../utils/redisClient');
+const Logger = require('../utils/logger');
+
+const LIST_FIELDS = {
+  block: 'blockedUsers',
+  mute: 'mutedUsers'
+};
+
+class BlockService {
+  // Block a user: hides them from us and stops them interacting with us
+  async blockUser(userId, targetId) {
+    const result = await this.addToList(userId, targetId, 'block');
+
+    // Blocking ends any friendship or pending request between the two users
+    await Friendship.deleteMany({
+      $or: [
+        { requester: userId, recipient: targetId },
+        { requester: targetId, recipient: userId }
+      ]
+    });
+    await friendService.clearFriendCache(userId, targetId);
+
+    return result;
+  }
+
+  async unblockUser(userId, targetId) {
+    return this.removeFromList(userId, targetId, 'block');
+  }
+
+  // Mute a user: their chat messages are hidden from us
+  async muteUser(userId, targetId) {
+    return this.addToList(userId, targetId, 'mute');
+  }
+
+  async unmuteUser(userId, targetId) {
+    return this.removeFromList(userId, targetId, 'mute');
+  }
+
+  async addToList(userId, targetId, listType) {
+    const startTime = Date.now();
+    const field = LIST_FIELDS[listType];
+
+    try {
+      if (userId === targetId) {
+        throw new Error(`Cannot ${listType} yourself`);
+      }
+
+      const target = await User.exists({ _id: targetId });
+      if (!target) {
+        throw new Error('User not found');
+      }
+
+      await User.findByIdAndUpdate(userId, { $addToSet: { [field]: targetId } });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      await this.clearListCache(userId, targetId);
+
+      return {
+        success: true,
+        message: listType === 'block' ? 'User blocked' : 'User muted'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  async removeFromList(userId, targetId, listType) {
+    const startTime = Date.now();
+    const field = LIST_FIELDS[listType];
+
+    try {
+      await User.findByIdAndUpdate(userId, { $pull: { [field]: targetId } });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      await this.clearListCache(userId, targetId);
+
+      return {
+        success: true,
+        message: listType === 'block' ? 'User unblocked' : 'User unmuted'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Get the populated block or mute list of a user
+  async getList(userId, listType) {
+    const field = LIST_FIELDS[listType];
+    const user = await User.findById(userId)
+      .select(field)
+      .populate(field, 'username firstName lastName avatar');
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return user[field];
+  }
+
+  // IDs (as strings) of users the given user has blocked and muted
+  async getLists(userId) {
+    if (!userId) return { blocked: [], muted: [], blockedBy: [] };
+
+    const cacheKey = `blocks:${userId}`;
+    const cachedLists = await getCache(cacheKey);
+    if (cachedLists) {
+      return cachedLists;
+    }
+
+    const [user, blockedBy] = await Promise.all([
+      User.findById(userId).select('blockedUsers mutedUsers'),
+      User.find({ blockedUsers: userId }).distinct('_id')
+    ]);
+
+    const lists = {
+      blocked: (user?.blockedUsers || []).map(id => id.toString()),
+      muted: (user?.mutedUsers || []).map(id => id.toString()),
+      blockedBy: blockedBy.map(id => id.toString())
+    };
+
+    await setCache(cacheKey, lists, 600);
+
+    return lists;
+  }
+
+  // Users hidden from userId: the ones they blocked and the ones who blocked them
+  async getHiddenUserIds(userId) {
+    const { blocked, blockedBy } = await this.getLists(userId);
+    return [...new Set([...blocked, ...blockedBy])];
+  }
+
+  async getMutedUserIds(userId) {
+    const { muted } = await this.getLists(userId);
+    return muted;
+  }
+
+  // True when either user has blocked the other
+  async isBlockedBetween(userA, userB) {
+    if (!userA || !userB) return false;
+    const hiddenIds = await this.getHiddenUserIds(userA.toString());
+    return hiddenIds.includes(userB.toString());
+  }
+
+  async clearListCache(userId, targetId) {
+    await deleteCache(`blocks:${userId}`);
+    await deleteCache(`blocks:${targetId}`);
+  }
+}
+
+module.exports = new BlockService();
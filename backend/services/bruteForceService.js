@@ -0,0 +1,103 @@
+const { loginProtection, registrationThrottle, passwordResetThrottle } = require('../config/config');
+const { setKey, deleteKey, incrementKey, getKeyTtl } = require('../utils/redisClient');
+const Logger = require('../utils/logger');
+
+const tooManyAttempts = (message, retryAfter) => {
+  const error = new Error(message);
+  error.retryAfter = Math.max(1, retryAfter);
+  return error;
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Failed-login counters, progressive delays and temporary lockouts, per account and per IP
+class BruteForceService {
+  // Throw (with retryAfter) while the account or IP is locked out or must wait
+  async assertLoginAllowed(email, ip) {
+    const account = normalizeEmail(email);
+
+    const lockKeys = [];
+    if (account) lockKeys.push(`login_lock:account:${account}`);
+    if (ip) lockKeys.push(`login_lock:ip:${ip}`);
+
+    for (const key of lockKeys) {
+      const ttl = await getKeyTtl(key);
+      if (ttl > 0) {
+        throw tooManyAttempts('Too many failed login attempts, please try again later', ttl);
+      }
+    }
+
+    const delay = account ? await getKeyTtl(`login_delay:account:${account}`) : 0;
+    if (delay > 0) {
+      throw tooManyAttempts('Please wait before trying to log in again', delay);
+    }
+  }
+
+  async recordLoginFailure(email, ip) {
+    const account = normalizeEmail(email);
+    const { failureWindow, delayAfterFailures, maxDelay, maxAccountFailures, maxIpFailures, lockoutDuration } = loginProtection;
+
+    if (account) {
+      const failures = await incrementKey(`login_fail:account:${account}`, failureWindow);
+
+      if (failures >= maxAccountFailures) {
+        await setKey(`login_lock:account:${account}`, true, lockoutDuration);
+        await deleteKey(`login_fail:account:${account}`);
+        Logger.warn('Account temporarily locked after failed logins', { email: account, failures });
+      } else if (failures >= delayAfterFailures) {
+        // 1s, 2s, 4s, ... between attempts, capped at maxDelay
+        const delay = Math.min(2 ** (failures - delayAfterFailures), maxDelay);
+        await setKey(`login_delay:account:${account}`, true, delay);
+      }
+    }
+
+    if (ip) {
+      const ipFailures = await incrementKey(`login_fail:ip:${ip}`, failureWindow);
+
+      if (ipFailures >= maxIpFailures) {
+        await setKey(`login_lock:ip:${ip}`, true, lockoutDuration);
+        await deleteKey(`login_fail:ip:${ip}`);
+        Logger.warn('IP temporarily locked after failed logins', { ip, failures: ipFailures });
+      }
+    }
+  }
+
+  // A completed login resets the account's counters; the IP counter keeps running
+  async recordLoginSuccess(email) {
+    const account = normalizeEmail(email);
+    await deleteKey(`login_fail:account:${account}`);
+    await deleteKey(`login_delay:account:${account}`);
+  }
+
+  // Count a registration attempt from this IP, throwing once the window's quota is used up
+  async assertRegistrationAllowed(ip) {
+    if (!ip) return;
+
+    const key = `register:ip:${ip}`;
+    const attempts = await incrementKey(key, registrationThrottle.window);
+
+    if (attempts > registrationThrottle.maxPerIp) {
+      throw tooManyAttempts('Too many registration attempts, please try again later', await getKeyTtl(key));
+    }
+  }
+
+  // Count a password reset request per IP and per email, whether or not the
+  // account exists, throwing once either quota for the window is used up
+  async assertPasswordResetAllowed(email, ip) {
+    const account = normalizeEmail(email);
+    const { window, maxPerIp, maxPerEmail } = passwordResetThrottle;
+
+    const limits = [];
+    if (ip) limits.push({ key: `password_reset:ip:${ip}`, max: maxPerIp });
+    if (account) limits.push({ key: `password_reset:account:${account}`, max: maxPerEmail });
+
+    for (const { key, max } of limits) {
+      const attempts = await incrementKey(key, window);
+      if (attempts > max) {
+        throw tooManyAttempts('Too many password reset requests, please try again later', await getKeyTtl(key));
+      }
+    }
+  }
+}
+
+module.exports = new BruteForceService();
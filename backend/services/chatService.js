@@ -1,7 +1,10 @@
 const Message = require('../models/messageModel');
 const Journey = require('../models/journeyModel');
 const User = require('../models/userModel');
-const { setCache, getCache, deleteCache, publishMessage } = require('../utils/redisClient');
+const blockService = require('./blockService');
+const badgeService = require('./badgeService');
+const notificationService = require('./notificationService');
+const { setCache, getCache, deleteCachePattern, publishMessage } = require('../utils/redisClient');
 const Logger = require('../utils/logger');
 
 class ChatService {
@@ -10,6 +13,10 @@ class ChatService {
     const startTime = Date.now();
     
     try {
+      if (messageData.chatType === 'qa_chat') {
+        await this.assertCanMessageInQAChat(messageData.chatRoom, messageData.sender);
+      }
+
       const message = new Message(messageData);
       await message.save();
       await message.populate('sender', 'username firstName lastName avatar');
@@ -24,6 +31,18 @@ class ChatService {
         message: message
       });
 
+      // Replies from anyone but the asker count as answers
+      if (messageData.chatType === 'qa_chat') {
+        const [, , askerId] = messageData.chatRoom.split('_');
+        if (messageData.sender.toString() !== askerId) {
+          await badgeService.handleEvent('qa_answered', messageData.sender.toString());
+        }
+      }
+
+      if (message.messageType !== 'system') {
+        await this.notifyMessageRecipients(message);
+      }
+
       return message;
 
     } catch (error) {
@@ -33,13 +52,104 @@ class ChatService {
     }
   }
 
-  // Get chat history
-  async getChatHistory(chatRoom, page = 1, limit = 50) {
+  // Q&A questions notify the journey creator; @mentions notify users who can read the room.
+  // Failures are logged only, the message itself is already saved.
+  async notifyMessageRecipients(message) {
+    try {
+      const senderId = (message.sender._id || message.sender).toString();
+      const preview = message.content.slice(0, 200);
+
+      if (message.chatType === 'qa_chat') {
+        const [, journeyId, askerId] = message.chatRoom.split('_');
+        if (senderId === askerId) {
+          const journey = await Journey.findById(journeyId).select('creator');
+          if (journey) {
+            await notificationService.notify({
+              recipient: journey.creator,
+              actor: senderId,
+              type: 'qa_question',
+              journey: journey._id,
+              chatRoom: message.chatRoom,
+              message: message._id,
+              text: preview
+            });
+          }
+        }
+      }
+
+      const mentionedUsers = await notificationService.findMentionedUsers(message.content);
+      for (const mentionedUser of mentionedUsers) {
+        if (!(await this.canUserReadRoom(message.chatRoom, message.chatType, mentionedUser._id.toString()))) {
+          continue;
+        }
+        await notificationService.notify({
+          recipient: mentionedUser._id,
+          actor: senderId,
+          type: 'mention',
+          journey: message.journeyId,
+          chatRoom: message.chatRoom,
+          message: message._id,
+          text: preview
+        });
+      }
+    } catch (error) {
+      Logger.error('Failed to send message notifications', { chatRoom: message.chatRoom, error: error.message });
+    }
+  }
+
+  // Whether a user belongs in a room; used to keep mentions from leaking messages
+  // and from reaching people who never took part
+  async canUserReadRoom(chatRoom, chatType, userId) {
+    // Location rooms are open to anyone, so members are those who have posted there
+    if (chatType === 'location_chat') {
+      return Boolean(await Message.exists({ chatRoom, sender: userId, isDeleted: { $ne: true } }));
+    }
+
+    if (chatType === 'qa_chat') {
+      const [, journeyId, askerId] = chatRoom.split('_');
+      if (userId === askerId) return true;
+      const journey = await Journey.findById(journeyId).select('creator');
+      return Boolean(journey) && journey.creator.toString() === userId;
+    }
+
+    if (chatType === 'group_planning') {
+      const journey = await Journey.findById(chatRoom.replace('journey_', '')).select('creator collaborators.user');
+      if (!journey) return false;
+      return journey.creator.toString() === userId ||
+        journey.collaborators.some(collab => collab.user.toString() === userId);
+    }
+
+    return false;
+  }
+
+  // Reject Q&A messages between users where either has blocked the other
+  async assertCanMessageInQAChat(chatRoom, senderId) {
+    // Q&A rooms are named qa_<journeyId>_<askerId>
+    const [, journeyId, askerId] = chatRoom.split('_');
+    const journey = await Journey.findById(journeyId).select('creator');
+    if (!journey) {
+      throw new Error('Journey not found');
+    }
+
+    const creatorId = journey.creator.toString();
+    const recipientId = senderId.toString() === creatorId ? askerId : creatorId;
+
+    if (await blockService.isBlockedBetween(senderId, recipientId)) {
+      throw new Error('You cannot message this user');
+    }
+  }
+
+  // Get chat history (messages from users muted by the viewer are left out)
+  async getChatHistory(chatRoom, page = 1, limit = 50, viewerId = null) {
     const startTime = Date.now();
     
     try {
+      const mutedIds = await blockService.getMutedUserIds(viewerId);
+
+      // The cache is shared by all viewers, so skip it when a mute filter applies
+      const useCache = mutedIds.length === 0;
       const cacheKey = `chat_history:${chatRoom}:${page}:${limit}`;
-      const cachedHistory = await getCache(cacheKey);
+      const cachedHistory = useCache ? await getCache(cacheKey) : null;
       
       if (cachedHistory) {
         Logger.debug('Chat history served from cache', { chatRoom, page });
@@ -47,21 +157,23 @@ class ChatService {
       }
 
       const skip = (page - 1) * limit;
-      
-      const messages = await Message.find({
+      const query = {
         chatRoom,
         isDeleted: false
-      })
+      };
+
+      if (mutedIds.length > 0) {
+        query.sender = { $nin: mutedIds };
+      }
+      
+      const messages = await Message.find(query)
       .populate('sender', 'username firstName lastName avatar')
       .populate('parentMessage', 'content sender')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
-      const total = await Message.countDocuments({
-        chatRoom,
-        isDeleted: false
-      });
+      const total = await Message.countDocuments(query);
 
       const duration = Date.now() - startTime;
       Logger.dbOperation('READ', 'messages', duration);
@@ -78,7 +190,9 @@ class ChatService {
       };
 
       // Cache for 5 minutes
-      await setCache(cacheKey, result, 300);
+      if (useCache) {
+        await setCache(cacheKey, result, 300);
+      }
 
       return result;
 
@@ -243,7 +357,7 @@ class ChatService {
       Logger.dbOperation('UPDATE', 'messages', duration);
 
       // Clear chat history cache
-      await deleteCache(`chat_history:${chatRoom}*`);
+      await deleteCachePattern(`chat_history:${chatRoom}*`);
 
       // Publish read receipt
       await publishMessage(`chat:${chatRoom}`, {
@@ -280,7 +394,7 @@ class ChatService {
       Logger.dbOperation('UPDATE', 'messages', duration);
 
       // Clear cache and publish update
-      await deleteCache(`chat_history:${message.chatRoom}*`);
+      await deleteCachePattern(`chat_history:${message.chatRoom}*`);
       await publishMessage(`chat:${message.chatRoom}`, {
         type: 'reaction_added',
         messageId,
@@ -316,7 +430,7 @@ class ChatService {
       Logger.dbOperation('UPDATE', 'messages', duration);
 
       // Clear cache and publish update
-      await deleteCache(`chat_history:${message.chatRoom}*`);
+      await deleteCachePattern(`chat_history:${message.chatRoom}*`);
       await publishMessage(`chat:${message.chatRoom}`, {
         type: 'reaction_removed',
         messageId,
@@ -362,7 +476,7 @@ class ChatService {
       Logger.dbOperation('UPDATE', 'messages', duration);
 
       // Clear cache and publish update
-      await deleteCache(`chat_history:${message.chatRoom}*`);
+      await deleteCachePattern(`chat_history:${message.chatRoom}*`);
       await publishMessage(`chat:${message.chatRoom}`, {
         type: 'message_edited',
         messageId,
@@ -382,6 +496,37 @@ class ChatService {
     }
   }
 
+  // Permanently remove a message (admin moderation)
+  async forceDeleteMessage(messageId) {
+    const startTime = Date.now();
+    
+    try {
+      const message = await Message.findByIdAndDelete(messageId);
+      if (!message) {
+        throw new Error('Message not found');
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('DELETE', 'messages', duration);
+
+      await deleteCachePattern(`chat_history:${message.chatRoom}*`);
+      await publishMessage(`chat:${message.chatRoom}`, {
+        type: 'message_deleted',
+        messageId
+      });
+
+      return {
+        success: true,
+        message: 'Message deleted successfully'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('DELETE', 'messages', duration, error);
+      throw error;
+    }
+  }
+
   // Delete message
   async deleteMessage(messageId, userId) {
     const startTime = Date.now();
@@ -405,7 +550,7 @@ class ChatService {
       Logger.dbOperation('UPDATE', 'messages', duration);
 
       // Clear cache and publish update
-      await deleteCache(`chat_history:${message.chatRoom}*`);
+      await deleteCachePattern(`chat_history:${message.chatRoom}*`);
       await publishMessage(`chat:${message.chatRoom}`, {
         type: 'message_deleted',
         messageId
@@ -0,0 +1,280 @@
+const User = require('../models/userModel');
+const Journey = require('../models/journeyModel');
+const Message = require('../models/messageModel');
+const Notification = require('../models/notificationModel');
+const mailService = require('./mailService');
+const tokenService = require('./tokenService');
+const { renderDigestEmail } = require('../templates/digestEmail');
+const { digest: digestConfig, frontendUrl, apiUrl } = require('../config/config');
+const { deleteCache } = require('../utils/redisClient');
+const Logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIODS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS
+};
+
+// The job runs hourly, so a digest counts as due slightly early rather than a whole run late
+const SCHEDULE_SLACK_MS = 60 * 60 * 1000;
+
+class DigestService {
+  // Send every digest that is due; returns how many emails went out. Users are
+  // taken in batches, longest-waiting first, until none are left; whoever this
+  // run fails to mail is retried by the next one.
+  async sendDueDigests(now = new Date()) {
+    const startTime = Date.now();
+
+    try {
+      const dueBefore = (frequency) => new Date(now.getTime() - PERIODS[frequency] + SCHEDULE_SLACK_MS);
+
+      const dueQuery = {
+        isVerified: true,
+        isSuspended: { $ne: true },
+        isDeleted: { $ne: true },
+        'preferences.notifications.email': { $ne: false },
+        $or: [
+          {
+            'preferences.notifications.digest': 'daily',
+            $or: [{ lastDigestSentAt: null }, { lastDigestSentAt: { $lte: dueBefore('daily') } }]
+          },
+          {
+            // Accounts created before digests existed have no setting and get the weekly default
+            'preferences.notifications.digest': { $in: ['weekly', null] },
+            $or: [{ lastDigestSentAt: null }, { lastDigestSentAt: { $lte: dueBefore('weekly') } }]
+          }
+        ]
+      };
+
+      // Sent, quiet and claimed users are no longer due; failed ones are skipped for the rest of the run
+      const failedIds = [];
+      let sent = 0;
+
+      for (;;) {
+        const users = await User.find({ ...dueQuery, _id: { $nin: failedIds } })
+          .select('email firstName preferences.notifications lastDigestSentAt createdAt')
+          .sort({ lastDigestSentAt: 1, _id: 1 })
+          .limit(digestConfig.batchSize)
+          .lean();
+
+        if (users.length === 0) break;
+
+        let batchFailures = 0;
+        for (const user of users) {
+          try {
+            if (await this.sendDigest(user, now)) {
+              sent += 1;
+            }
+          } catch (error) {
+            failedIds.push(user._id);
+            batchFailures += 1;
+            Logger.error('Failed to send activity digest', { userId: user._id.toString(), error: error.message });
+          }
+        }
+
+        // A batch where every send failed points at the mail transport; leave the rest for the next run
+        if (batchFailures === users.length) break;
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'users', duration);
+
+      return sent;
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Claim, build and send one user's digest. The claim on lastDigestSentAt keeps
+  // several instances from mailing the same user; a quiet period sends nothing.
+  async sendDigest(user, now = new Date()) {
+    const frequency = user.preferences?.notifications?.digest || 'weekly';
+    const since = user.lastDigestSentAt || new Date(now.getTime() - PERIODS[frequency]);
+
+    const claimed = await User.findOneAndUpdate(
+      { _id: user._id, lastDigestSentAt: user.lastDigestSentAt || null },
+      { $set: { lastDigestSentAt: now } }
+    );
+    if (!claimed) return false;
+
+    try {
+      const digest = await this.buildDigest(user._id, since);
+      if (digest.notifications.total === 0 && digest.journeys.length === 0 && digest.chats.totalUnread === 0) {
+        return false;
+      }
+
+      const unsubscribeToken = this.createUnsubscribeToken(user._id);
+      const unsubscribeApiUrl = `${apiUrl}/api/users/digest/unsubscribe?token=${encodeURIComponent(unsubscribeToken)}`;
+
+      const { subject, text, html } = renderDigestEmail({
+        user,
+        frequency,
+        ...digest,
+        links: {
+          app: frontendUrl,
+          preferences: `${frontendUrl}/settings/notifications`,
+          unsubscribe: `${frontendUrl}/unsubscribe?token=${encodeURIComponent(unsubscribeToken)}`,
+          journey: (journeyId) => `${frontendUrl}/journeys/${journeyId}`
+        }
+      });
+
+      await mailService.sendMail({
+        to: user.email,
+        subject,
+        text,
+        html,
+        // One-click unsubscribe from the mail client (RFC 8058)
+        headers: {
+          'List-Unsubscribe': `<${unsubscribeApiUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      });
+    } catch (error) {
+      // Release the claim so the next run tries again
+      await User.updateOne({ _id: user._id, lastDigestSentAt: now }, { $set: { lastDigestSentAt: user.lastDigestSentAt || null } });
+      throw error;
+    }
+
+    return true;
+  }
+
+  // Unread notifications, new comments and likes on the user's journeys and
+  // unread chat messages since the last digest
+  async buildDigest(userId, since) {
+    const startTime = Date.now();
+
+    try {
+      const [latestNotifications, notificationTotal, journeys, chats] = await Promise.all([
+        Notification.find({ recipient: userId, readAt: null, createdAt: { $gt: since } })
+          .populate('actor', 'username')
+          .populate('journey', 'title')
+          .sort({ createdAt: -1 })
+          .limit(10)
+          .lean(),
+        Notification.countDocuments({ recipient: userId, readAt: null, createdAt: { $gt: since } }),
+        this.getJourneyActivity(userId, since),
+        this.getUnreadChats(userId, since)
+      ]);
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'notifications', duration);
+
+      return {
+        notifications: { total: notificationTotal, latest: latestNotifications },
+        journeys,
+        chats
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'notifications', duration, error);
+      throw error;
+    }
+  }
+
+  async getJourneyActivity(userId, since) {
+    const journeys = await Journey.aggregate([
+      { $match: { creator: userId } },
+      {
+        $project: {
+          title: 1,
+          newComments: {
+            $size: {
+              $filter: {
+                input: '$comments',
+                cond: { $and: [{ $gt: ['$$this.createdAt', since] }, { $ne: ['$$this.user', userId] }] }
+              }
+            }
+          },
+          newLikes: {
+            $size: {
+              $filter: {
+                input: '$likes',
+                cond: { $and: [{ $gt: ['$$this.createdAt', since] }, { $ne: ['$$this.user', userId] }] }
+              }
+            }
+          }
+        }
+      },
+      { $match: { $or: [{ newComments: { $gt: 0 } }, { newLikes: { $gt: 0 } }] } },
+      { $sort: { newComments: -1, newLikes: -1 } },
+      { $limit: 10 }
+    ]);
+
+    return journeys;
+  }
+
+  // Unread messages in rooms the user has written in
+  async getUnreadChats(userId, since) {
+    const rooms = await Message.distinct('chatRoom', { sender: userId });
+    if (rooms.length === 0) {
+      return { rooms: 0, totalUnread: 0 };
+    }
+
+    const unreadByRoom = await Message.aggregate([
+      {
+        $match: {
+          chatRoom: { $in: rooms },
+          sender: { $ne: userId },
+          'readBy.user': { $ne: userId },
+          isDeleted: { $ne: true },
+          createdAt: { $gt: since }
+        }
+      },
+      { $group: { _id: '$chatRoom', unread: { $sum: 1 } } }
+    ]);
+
+    return {
+      rooms: unreadByRoom.length,
+      totalUnread: unreadByRoom.reduce((total, room) => total + room.unread, 0)
+    };
+  }
+
+  createUnsubscribeToken(userId) {
+    return tokenService.signToken(userId.toString(), 'digest_unsubscribe', digestConfig.unsubscribeTokenTtl);
+  }
+
+  // Turn the digest off from an emailed link; no login needed
+  async unsubscribe(unsubscribeToken) {
+    const startTime = Date.now();
+
+    try {
+      let decoded;
+      try {
+        decoded = tokenService.verifyPurposeToken(unsubscribeToken, 'digest_unsubscribe');
+      } catch (error) {
+        throw new Error('Invalid or expired unsubscribe token');
+      }
+
+      const user = await User.findByIdAndUpdate(
+        decoded.userId,
+        { $set: { 'preferences.notifications.digest': 'off' } },
+        { new: true }
+      );
+      if (!user) {
+        throw new Error('Invalid or expired unsubscribe token');
+      }
+
+      await deleteCache(`user:${decoded.userId}`);
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      return {
+        success: true,
+        message: 'You have been unsubscribed from activity emails'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new DigestService();
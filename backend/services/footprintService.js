@@ -0,0 +1,191 @@
+const Journey = require('../models/journeyModel');
+const User = require('../models/userModel');
+const friendService = require('./friendService');
+const { fromGeoPoint, haversineDistance } = require('../utils/geoUtils');
+const { setCache, getCache, deleteCache, deleteCachePattern } = require('../utils/redisClient');
+const Logger = require('../utils/logger');
+
+// Journey visibilities each audience may see in a footprint
+const VISIBILITY_SCOPES = {
+  owner: ['public', 'friends', 'collaborators', 'private'],
+  friend: ['public', 'friends'],
+  public: ['public']
+};
+
+const normalize = (value) => (value || '').trim().toLowerCase();
+
+// Places closer than ~100m (3 decimals) are treated as the same place
+const placeKey = (destination) => {
+  const position = fromGeoPoint(destination.coordinates);
+  if (position) {
+    return `${position.latitude.toFixed(3)},${position.longitude.toFixed(3)}`;
+  }
+  return `${normalize(destination.name)}|${normalize(destination.city)}|${normalize(destination.country)}`;
+};
+
+// Visit order within a journey: by visit date when every stop has one, otherwise as listed
+const orderedStops = (destinations) => {
+  if (destinations.every(destination => destination.visitDate)) {
+    return [...destinations].sort((a, b) => new Date(a.visitDate) - new Date(b.visitDate));
+  }
+  return destinations;
+};
+
+class FootprintService {
+  // Where a user has been, built from the completed journeys they took part in.
+  // Other viewers only see journeys whose visibility allows it.
+  async getFootprint(userId, viewerId = null) {
+    const startTime = Date.now();
+
+    try {
+      let scope = 'public';
+      if (viewerId && viewerId.toString() === userId.toString()) {
+        scope = 'owner';
+      } else if (await friendService.areFriends(userId, viewerId)) {
+        scope = 'friend';
+      }
+
+      const cacheKey = `footprint:${userId}:${scope}`;
+      const cachedFootprint = await getCache(cacheKey);
+      if (cachedFootprint) {
+        Logger.debug('Footprint served from cache', { userId, scope });
+        return cachedFootprint;
+      }
+
+      const footprint = await this.buildFootprint(userId, VISIBILITY_SCOPES[scope]);
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'journeys', duration);
+
+      await setCache(cacheKey, footprint, 3600); // 1 hour
+
+      return footprint;
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'journeys', duration, error);
+      throw error;
+    }
+  }
+
+  async buildFootprint(userId, visibilities) {
+    const journeys = await Journey.find({
+      status: 'completed',
+      visibility: { $in: visibilities },
+      $or: [{ creator: userId }, { 'collaborators.user': userId }]
+    })
+      .select('title destinations')
+      .lean();
+
+    const places = new Map();
+    const countries = new Map();
+    const cities = new Map();
+    const routeFeatures = [];
+    let totalDistanceKm = 0;
+
+    for (const journey of journeys) {
+      const stops = orderedStops(journey.destinations || []);
+      const route = [];
+
+      for (const destination of stops) {
+        const position = fromGeoPoint(destination.coordinates);
+
+        // The first spelling seen is the one displayed
+        if (destination.country && !countries.has(normalize(destination.country))) {
+          countries.set(normalize(destination.country), destination.country.trim());
+        }
+        const cityKey = `${normalize(destination.city)}|${normalize(destination.country)}`;
+        if (destination.city && !cities.has(cityKey)) {
+          cities.set(cityKey, { name: destination.city.trim(), country: destination.country?.trim() || null });
+        }
+
+        const key = placeKey(destination);
+        if (!places.has(key)) {
+          places.set(key, {
+            name: destination.name,
+            city: destination.city || null,
+            country: destination.country || null,
+            coordinates: position,
+            firstVisitedAt: destination.visitDate || null,
+            journeys: []
+          });
+        }
+        const place = places.get(key);
+        place.journeys.push(journey._id);
+        if (destination.visitDate && (!place.firstVisitedAt || destination.visitDate < place.firstVisitedAt)) {
+          place.firstVisitedAt = destination.visitDate;
+        }
+
+        if (position) {
+          route.push(position);
+        }
+      }
+
+      for (let i = 1; i < route.length; i++) {
+        totalDistanceKm += haversineDistance(route[i - 1], route[i]);
+      }
+
+      if (route.length > 1) {
+        routeFeatures.push({
+          type: 'Feature',
+          geometry: {
+            type: 'LineString',
+            coordinates: route.map(point => [point.longitude, point.latitude])
+          },
+          properties: { kind: 'route', journeyId: journey._id, title: journey.title }
+        });
+      }
+    }
+
+    // GeoJSON positions are [longitude, latitude]
+    const placeFeatures = [];
+    for (const place of places.values()) {
+      if (!place.coordinates) continue;
+      placeFeatures.push({
+        type: 'Feature',
+        geometry: {
+          type: 'Point',
+          coordinates: [place.coordinates.longitude, place.coordinates.latitude]
+        },
+        properties: {
+          kind: 'place',
+          name: place.name,
+          city: place.city,
+          country: place.country,
+          firstVisitedAt: place.firstVisitedAt,
+          journeyIds: place.journeys
+        }
+      });
+    }
+
+    return {
+      placesVisited: places.size,
+      journeysCounted: journeys.length,
+      countries: [...countries.values()].sort(),
+      cities: [...cities.values()].sort((a, b) => a.name.localeCompare(b.name)),
+      totalDistanceKm: Math.round(totalDistanceKm * 10) / 10,
+      geojson: {
+        type: 'FeatureCollection',
+        features: [...placeFeatures, ...routeFeatures]
+      }
+    };
+  }
+
+  // Recompute after a journey the users took part in changed; keeps
+  // stats.placesVisited in step with the full (owner) footprint
+  async refreshFootprints(userIds) {
+    for (const userId of userIds) {
+      try {
+        await deleteCachePattern(`footprint:${userId}:*`);
+        const footprint = await this.buildFootprint(userId, VISIBILITY_SCOPES.owner);
+        await User.findByIdAndUpdate(userId, { 'stats.placesVisited': footprint.placesVisited });
+        await deleteCache(`user:${userId}`);
+        await setCache(`footprint:${userId}:owner`, footprint, 3600);
+      } catch (error) {
+        Logger.error('Failed to refresh travel footprint', { userId: userId.toString(), error: error.message });
+      }
+    }
+  }
+}
+
+module.exports = new FootprintService();
@@ -0,0 +1,311 @@
+const Friendship = require('../models/friendshipModel');
+const User = require('../models/userModel');
+const { setCache, getCache, deleteCache } = require('../utils/redisClient');
+const Logger = require('../utils/logger');
+
+const FRIEND_FIELDS = 'username firstName lastName avatar';
+
+class FriendService {
+  // Send a friend request
+  async sendFriendRequest(requesterId, recipientId) {
+    const startTime = Date.now();
+
+    try {
+      if (requesterId === recipientId) {
+        throw new Error('Cannot send a friend request to yourself');
+      }
+
+      const recipient = await User.findById(recipientId).select('blockedUsers');
+      if (!recipient) {
+        throw new Error('User not found');
+      }
+
+      const requesterBlockedRecipient = await User.exists({ _id: requesterId, blockedUsers: recipientId });
+      if (requesterBlockedRecipient || recipient.blockedUsers.some(id => id.toString() === requesterId)) {
+        throw new Error('Cannot send a friend request to this user');
+      }
+
+      const existing = await Friendship.findBetween(requesterId, recipientId);
+
+      if (existing) {
+        if (existing.status === 'accepted') {
+          throw new Error('You are already friends with this user');
+        }
+
+        // The other user already asked us: treat this as accepting their request
+        if (existing.requester.toString() === recipientId) {
+          return this.acceptFriendRequest(requesterId, recipientId);
+        }
+
+        throw new Error('Friend request already sent');
+      }
+
+      const friendship = await Friendship.create({
+        requester: requesterId,
+        recipient: recipientId
+      });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('CREATE', 'friendships', duration);
+
+      return {
+        success: true,
+        message: 'Friend request sent',
+        friendship
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('CREATE', 'friendships', duration, error);
+      throw error;
+    }
+  }
+
+  // Accept a pending request sent by requesterId to userId
+  async acceptFriendRequest(userId, requesterId) {
+    const startTime = Date.now();
+
+    try {
+      const friendship = await Friendship.findOneAndUpdate(
+        { requester: requesterId, recipient: userId, status: 'pending' },
+        { $set: { status: 'accepted', acceptedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!friendship) {
+        throw new Error('Friend request not found');
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'friendships', duration);
+
+      await this.clearFriendCache(userId, requesterId);
+
+      return {
+        success: true,
+        message: 'Friend request accepted',
+        friendship
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'friendships', duration, error);
+      throw error;
+    }
+  }
+
+  // Decline a pending request sent by requesterId to userId
+  async declineFriendRequest(userId, requesterId) {
+    const startTime = Date.now();
+
+    try {
+      const friendship = await Friendship.findOneAndDelete({
+        requester: requesterId,
+        recipient: userId,
+        status: 'pending'
+      });
+
+      if (!friendship) {
+        throw new Error('Friend request not found');
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('DELETE', 'friendships', duration);
+
+      return {
+        success: true,
+        message: 'Friend request declined'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('DELETE', 'friendships', duration, error);
+      throw error;
+    }
+  }
+
+  // Remove a friend, or cancel a request we sent
+  async removeFriend(userId, friendId) {
+    const startTime = Date.now();
+
+    try {
+      const friendship = await Friendship.findBetween(userId, friendId);
+
+      // Only the sender may withdraw a pending request; recipients decline instead
+      if (!friendship || (friendship.status === 'pending' && friendship.requester.toString() !== userId)) {
+        throw new Error('Friendship not found');
+      }
+
+      await Friendship.findByIdAndDelete(friendship._id);
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('DELETE', 'friendships', duration);
+
+      await this.clearFriendCache(userId, friendId);
+
+      return {
+        success: true,
+        message: friendship.status === 'accepted' ? 'Friend removed' : 'Friend request cancelled'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('DELETE', 'friendships', duration, error);
+      throw error;
+    }
+  }
+
+  // Get IDs (as strings) of a user's accepted friends
+  async getFriendIds(userId) {
+    const cacheKey = `friends:${userId}`;
+    const cachedIds = await getCache(cacheKey);
+    if (cachedIds) {
+      return cachedIds;
+    }
+
+    const friendships = await Friendship.find({
+      status: 'accepted',
+      $or: [{ requester: userId }, { recipient: userId }]
+    }).select('requester recipient');
+
+    const friendIds = friendships.map(friendship =>
+      friendship.requester.toString() === userId.toString()
+        ? friendship.recipient.toString()
+        : friendship.requester.toString()
+    );
+
+    await setCache(cacheKey, friendIds, 600);
+
+    return friendIds;
+  }
+
+  // For each of userIds, how many of friendIds they are friends with, in one query
+  async countMutualFriends(friendIds, userIds) {
+    const counts = new Map(userIds.map(userId => [userId.toString(), 0]));
+    if (friendIds.length === 0 || userIds.length === 0) return counts;
+
+    const friendSet = new Set(friendIds.map(String));
+    const friendships = await Friendship.find({
+      status: 'accepted',
+      $or: [
+        { requester: { $in: userIds }, recipient: { $in: friendIds } },
+        { requester: { $in: friendIds }, recipient: { $in: userIds } }
+      ]
+    }).select('requester recipient').lean();
+
+    for (const friendship of friendships) {
+      const requesterId = friendship.requester.toString();
+      const recipientId = friendship.recipient.toString();
+      if (counts.has(requesterId) && friendSet.has(recipientId)) {
+        counts.set(requesterId, counts.get(requesterId) + 1);
+      }
+      if (counts.has(recipientId) && friendSet.has(requesterId)) {
+        counts.set(recipientId, counts.get(recipientId) + 1);
+      }
+    }
+
+    return counts;
+  }
+
+  async areFriends(userA, userB) {
+    if (!userA || !userB) return false;
+    const friendIds = await this.getFriendIds(userA);
+    return friendIds.includes(userB.toString());
+  }
+
+  // Get a user's friends
+  async getFriends(userId, page = 1, limit = 20) {
+    const startTime = Date.now();
+
+    try {
+      const friendIds = await this.getFriendIds(userId);
+      const skip = (page - 1) * limit;
+
+      const friends = await User.find({ _id: { $in: friendIds } })
+        .select(FRIEND_FIELDS)
+        .sort({ username: 1 })
+        .skip(skip)
+        .limit(limit);
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'friendships', duration);
+
+      return {
+        friends,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(friendIds.length / limit),
+          totalFriends: friendIds.length,
+          hasNext: page < Math.ceil(friendIds.length / limit),
+          hasPrev: page > 1
+        }
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'friendships', duration, error);
+      throw error;
+    }
+  }
+
+  // Get pending requests received and sent by a user
+  async getFriendRequests(userId) {
+    const startTime = Date.now();
+
+    try {
+      const [incoming, outgoing] = await Promise.all([
+        Friendship.find({ recipient: userId, status: 'pending' })
+          .populate('requester', FRIEND_FIELDS)
+          .sort({ createdAt: -1 }),
+        Friendship.find({ requester: userId, status: 'pending' })
+          .populate('recipient', FRIEND_FIELDS)
+          .sort({ createdAt: -1 })
+      ]);
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'friendships', duration);
+
+      return { incoming, outgoing };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'friendships', duration, error);
+      throw error;
+    }
+  }
+
+  // Get friends shared by two users
+  async getMutualFriends(userId, otherUserId) {
+    const startTime = Date.now();
+
+    try {
+      const [userFriendIds, otherFriendIds] = await Promise.all([
+        this.getFriendIds(userId),
+        this.getFriendIds(otherUserId)
+      ]);
+
+      const otherSet = new Set(otherFriendIds);
+      const mutualIds = userFriendIds.filter(id => otherSet.has(id));
+
+      const mutualFriends = await User.find({ _id: { $in: mutualIds } })
+        .select(FRIEND_FIELDS)
+        .sort({ username: 1 });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'friendships', duration);
+
+      return mutualFriends;
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'friendships', duration, error);
+      throw error;
+    }
+  }
+
+  async clearFriendCache(...userIds) {
+    await Promise.all(userIds.map(id => deleteCache(`friends:${id}`)));
+  }
+}
+
+module.exports = new FriendService();
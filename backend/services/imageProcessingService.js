@@ -0,0 +1,107 @@
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const Logger = require('../utils/logger');
+
+// Sizes generated for every uploaded image, served as WebP
+const IMAGE_VARIANTS = [
+  { name: 'thumbnail', width: 200, height: 200, fit: 'cover' },
+  { name: 'medium', width: 800, height: 800, fit: 'inside' },
+  { name: 'large', width: 1600, height: 1600, fit: 'inside' }
+];
+
+// Refuse decompression bombs before decoding them
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// EXIF GPS coordinates are [degrees, minutes, seconds] plus a hemisphere reference
+const toDecimalDegrees = (parts, ref) => {
+  if (!Array.isArray(parts) || parts.length < 3 || parts.some(part => !Number.isFinite(part))) {
+    return null;
+  }
+  const value = parts[0] + parts[1] / 60 + parts[2] / 3600;
+  return ['S', 'W'].includes(ref) ? -value : value;
+};
+
+class ImageProcessingService {
+  get variantNames() {
+    return IMAGE_VARIANTS.map(variant => variant.name);
+  }
+
+  // Capture time and GPS position from raw EXIF, when present and well-formed
+  readExifMetadata(exifBuffer) {
+    const metadata = { takenAt: null, location: null };
+    if (!exifBuffer) return metadata;
+
+    let exif;
+    try {
+      exif = exifReader(exifBuffer);
+    } catch (error) {
+      Logger.debug('Ignoring unreadable EXIF data', { error: error.message });
+      return metadata;
+    }
+
+    const takenAt = exif.Photo?.DateTimeOriginal || exif.Image?.DateTime;
+    if (takenAt instanceof Date && !Number.isNaN(takenAt.getTime())) {
+      metadata.takenAt = takenAt;
+    }
+
+    const gps = exif.GPSInfo;
+    if (gps) {
+      const latitude = toDecimalDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+      const longitude = toDecimalDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+      if (latitude !== null && longitude !== null &&
+          Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+        metadata.location = { latitude, longitude };
+      }
+    }
+
+    return metadata;
+  }
+
+  // Normalize an image and build its variants. All metadata is stripped from the
+  // output unless `keepLocation` is set, in which case EXIF (including GPS) is kept.
+  async processImage(buffer, { keepLocation = false, animated = false } = {}) {
+    const inputOptions = { limitInputPixels: MAX_INPUT_PIXELS };
+    const { exif } = await sharp(buffer, inputOptions).metadata();
+
+    // rotate() applies the EXIF orientation so stripped images still display upright
+    let original = sharp(buffer, { ...inputOptions, animated }).rotate();
+    if (keepLocation) {
+      original = original.keepExif();
+    }
+    const { data, info } = await original.toBuffer({ resolveWithObject: true });
+
+    // One at a time to keep memory use predictable on large uploads
+    const variants = [];
+    for (const variant of IMAGE_VARIANTS) {
+      const output = await sharp(buffer, inputOptions)
+        .rotate()
+        .resize({
+          width: variant.width,
+          height: variant.height,
+          fit: variant.fit,
+          withoutEnlargement: true
+        })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      variants.push({
+        name: variant.name,
+        buffer: output.data,
+        width: output.info.width,
+        height: output.info.height
+      });
+    }
+
+    return {
+      original: {
+        buffer: data,
+        width: info.width,
+        height: info.pageHeight || info.height
+      },
+      variants,
+      metadata: this.readExifMetadata(exif)
+    };
+  }
+}
+
+module.exports = new ImageProcessingService();
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const Invitation = require('../models/invitationModel');
+const User = require('../models/userModel');
+const { invitations: invitationConfig } = require('../config/config');
+const Logger = require('../utils/logger');
+
+// No 0/O or 1/I so codes survive being read out or typed from a screenshot
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const generateCode = () => Array.from(
+  { length: CODE_LENGTH },
+  () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+).join('');
+
+// Accept codes typed in lower case or with spaces and dashes
+const normalizeCode = (code) => String(code).toUpperCase().replace(/[\s-]/g, '');
+
+class InvitationService {
+  get inviteOnly() {
+    return invitationConfig.inviteOnly;
+  }
+
+  // Create a code that lets up to maxUses people register
+  async createInvitation(userId, { maxUses = 1, expiresInDays, note }) {
+    const startTime = Date.now();
+
+    try {
+      const now = new Date();
+      const activeCount = await Invitation.countDocuments({
+        createdBy: userId,
+        ...this.statusQuery('active', now)
+      });
+      if (activeCount >= invitationConfig.maxActivePerUser) {
+        throw new Error(`You can have at most ${invitationConfig.maxActivePerUser} active invitations`);
+      }
+
+      const days = expiresInDays || invitationConfig.defaultTtlDays;
+      const expiresAt = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+      let invitation;
+      for (let attempt = 1; !invitation; attempt++) {
+        try {
+          invitation = await Invitation.create({
+            code: generateCode(),
+            createdBy: userId,
+            note,
+            maxUses,
+            expiresAt
+          });
+        } catch (error) {
+          // Retry the rare code collision
+          if (error.code !== 11000 || attempt >= 3) throw error;
+        }
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('CREATE', 'invitations', duration);
+
+      return {
+        success: true,
+        message: 'Invitation created successfully',
+        invitation: this.toPublic(invitation, now)
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('CREATE', 'invitations', duration, error);
+      throw error;
+    }
+  }
+
+  // A user's invitations and the people who joined through them
+  async listInvitations(userId) {
+    const startTime = Date.now();
+
+    try {
+      const [invitations, invitedUsers] = await Promise.all([
+        Invitation.find({ createdBy: userId }).sort({ createdAt: -1 }),
+        User.find({ invitedBy: userId, isDeleted: { $ne: true } })
+          .select('username avatar invitation createdAt')
+          .sort({ createdAt: -1 })
+          .lean()
+      ]);
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'invitations', duration);
+
+      const now = new Date();
+      return {
+        invitations: invitations.map(invitation => this.toPublic(invitation, now)),
+        invitedUsers
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'invitations', duration, error);
+      throw error;
+    }
+  }
+
+  async revokeInvitation(userId, invitationId) {
+    const startTime = Date.now();
+
+    try {
+      const invitation = await Invitation.findOneAndUpdate(
+        { _id: invitationId, createdBy: userId, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+      );
+
+      if (!invitation) {
+        throw new Error('Invitation not found');
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'invitations', duration);
+
+      return {
+        success: true,
+        message: 'Invitation revoked successfully'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'invitations', duration, error);
+      throw error;
+    }
+  }
+
+  // Take one use of a code for a registration. Codes of suspended or deleted
+  // users stop working; the use is counted atomically so a code is never
+  // redeemed more than maxUses times.
+  async claimInvitation(code) {
+    const startTime = Date.now();
+
+    try {
+      const invitation = await Invitation.findOne({ code: normalizeCode(code) })
+        .populate('createdBy', 'isSuspended isDeleted');
+
+      const inviter = invitation?.createdBy;
+      if (!invitation || invitation.revokedAt || !inviter || inviter.isDeleted || inviter.isSuspended) {
+        throw new Error('Invalid invitation code');
+      }
+
+      if (invitation.expiresAt && invitation.expiresAt <= new Date()) {
+        throw new Error('Invitation code has expired');
+      }
+
+      const claimed = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, revokedAt: null, uses: { $lt: invitation.maxUses } },
+        { $inc: { uses: 1 } },
+        { new: true }
+      );
+
+      if (!claimed) {
+        throw new Error('Invitation code has reached its usage limit');
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'invitations', duration);
+
+      return claimed;
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'invitations', duration, error);
+      throw error;
+    }
+  }
+
+  // Give a use back when the registration it was claimed for failed
+  async releaseInvitation(invitationId) {
+    try {
+      await Invitation.updateOne({ _id: invitationId, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+    } catch (error) {
+      Logger.error('Failed to release invitation use', { invitationId: invitationId.toString(), error: error.message });
+    }
+  }
+
+  getStatus(invitation, now = new Date()) {
+    if (invitation.revokedAt) return 'revoked';
+    if (invitation.expiresAt && invitation.expiresAt <= now) return 'expired';
+    if (invitation.uses >= invitation.maxUses) return 'used_up';
+    return 'active';
+  }
+
+  // Query matching the invitations getStatus would report as `status`
+  statusQuery(status, now = new Date()) {
+    const notExpired = { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+
+    switch (status) {
+      case 'revoked':
+        return { revokedAt: { $ne: null } };
+      case 'expired':
+        return { revokedAt: null, expiresAt: { $lte: now } };
+      case 'used_up':
+        return { revokedAt: null, ...notExpired, $expr: { $gte: ['$uses', '$maxUses'] } };
+      case 'active':
+        return { revokedAt: null, ...notExpired, $expr: { $lt: ['$uses', '$maxUses'] } };
+      default:
+        return {};
+    }
+  }
+
+  toPublic(invitation, now = new Date()) {
+    return {
+      _id: invitation._id,
+      code: invitation.code,
+      note: invitation.note,
+      maxUses: invitation.maxUses,
+      uses: invitation.uses,
+      remainingUses: Math.max(invitation.maxUses - invitation.uses, 0),
+      status: this.getStatus(invitation, now),
+      expiresAt: invitation.expiresAt,
+      revokedAt: invitation.revokedAt,
+      createdAt: invitation.createdAt
+    };
+  }
+}
+
+module.exports = new InvitationService();
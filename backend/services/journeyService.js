@@ -1,8 +1,69 @@
+const mongoose = require('mongoose');
 const Journey = require('../models/journeyModel');
 const User = require('../models/userModel');
+const friendService = require('./friendService');
+const blockService = require('./blockService');
+const uploadService = require('./uploadService');
+const badgeService = require('./badgeService');
+const footprintService = require('./footprintService');
+const notificationService = require('./notificationService');
+const profileVisibilityService = require('./profileVisibilityService');
+const {
+  EARTH_RADIUS_KM,
+  isValidCoordinates,
+  haversineDistance,
+  toGeoPoint,
+  isValidGeoPoint,
+  fromGeoPoint,
+  isInBoundingBox,
+  boundingBoxCenter,
+  boundingBoxToPolygons,
+  tileBounds,
+  tilesForBoundingBox
+} = require('../utils/geoUtils');
 const { setCache, getCache, deleteCache, deleteCachePattern } = require('../utils/redisClient');
 const Logger = require('../utils/logger');
 
+// profileVisibilityService decides what each viewer sees of these users
+const USER_FIELDS = 'username firstName lastName avatar preferences.privacy.profileVisibility';
+
+const MAX_DESTINATIONS = 100;
+
+// Map clusters: each tile is split into a grid of CLUSTER_GRID x CLUSTER_GRID cells
+const CLUSTER_GRID = 4;
+const MAX_CLUSTER_TILES = 64;
+
+// Destination fields set through the destination endpoints; photos are managed by uploads
+const DESTINATION_FIELDS = [
+  'name', 'address', 'city', 'country', 'coordinates', 'description',
+  'visitDate', 'duration', 'cost', 'rating', 'tips'
+];
+
+const pickDestinationFields = (data) => DESTINATION_FIELDS.reduce((fields, key) => {
+  if (data[key] !== undefined) {
+    fields[key] = data[key];
+  }
+  return fields;
+}, {});
+
+// Itinerary days list destinations by their subdocument _id; every ID must
+// belong to one of the journey's destinations and each day appear once
+const assertItineraryReferences = (destinations, itinerary) => {
+  const destinationIds = new Set(destinations.filter(destination => destination._id).map(destination => destination._id.toString()));
+
+  const days = itinerary.map(entry => entry.day);
+  if (new Set(days).size !== days.length) {
+    throw new Error('Itinerary days must be unique');
+  }
+
+  const unknownReference = itinerary.some(entry =>
+    (entry.locations || []).some(locationId => !destinationIds.has(String(locationId)))
+  );
+  if (unknownReference) {
+    throw new Error('Itinerary references an unknown destination');
+  }
+};
+
 class JourneyService {
   // Create new journey
   async createJourney(journeyData, creatorId) {
@@ -15,7 +76,6 @@ class JourneyService {
       });
 
       await journey.save();
-      await journey.populate('creator', 'username firstName lastName avatar');
 
       const duration = Date.now() - startTime;
       Logger.dbOperation('CREATE', 'journeys', duration);
@@ -25,15 +85,27 @@ class JourneyService {
         creatorId,
         { $inc: { 'stats.journeysCreated': 1 } }
       );
+      await badgeService.handleEvent('journey_created', creatorId);
+
+      // A journey can be created as completed; deleting it undoes the count
+      await this.handleStatusChange(journey, null, journey.status);
+      if (journey.status === 'completed') {
+        await footprintService.refreshFootprints(this.getParticipantIds(journey));
+      }
+
+      await journey.populate('creator', USER_FIELDS);
 
       // Clear relevant caches
       await deleteCachePattern(`journeys:user:${creatorId}*`);
       await deleteCachePattern('journeys:public*');
+      if (journey.visibility === 'public') {
+        await deleteCachePattern('map:clusters:*');
+      }
 
       return {
         success: true,
         message: 'Journey created successfully',
-        journey
+        journey: await profileVisibilityService.applyToJourney(journey, creatorId)
       };
 
     } catch (error) {
@@ -53,21 +125,25 @@ class JourneyService {
       const cachedJourney = await getCache(cacheKey);
       
       if (cachedJourney) {
+        // Cached entries are shared across viewers, so permissions still apply
+        if (!(await this.canUserViewJourney(cachedJourney, userId))) {
+          throw new Error('Access denied to this journey');
+        }
         Logger.debug('Journey served from cache', { journeyId });
-        return cachedJourney;
+        return profileVisibilityService.applyToJourney(cachedJourney, userId);
       }
 
       const journey = await Journey.findById(journeyId)
-        .populate('creator', 'username firstName lastName avatar')
-        .populate('collaborators.user', 'username firstName lastName avatar')
-        .populate('comments.user', 'username firstName lastName avatar');
+        .populate('creator', USER_FIELDS)
+        .populate('collaborators.user', USER_FIELDS)
+        .populate('comments.user', USER_FIELDS);
 
       if (!journey) {
         throw new Error('Journey not found');
       }
 
       // Check visibility permissions
-      if (!this.canUserViewJourney(journey, userId)) {
+      if (!(await this.canUserViewJourney(journey, userId))) {
         throw new Error('Access denied to this journey');
       }
 
@@ -82,10 +158,16 @@ class JourneyService {
         journey.stats.views += 1;
       }
 
+      // Uploaded images with their resized variants
+      const result = {
+        ...journey.toObject(),
+        images: await uploadService.getJourneyImages(journey._id)
+      };
+
       // Cache the result
-      await setCache(cacheKey, journey, 1800); // 30 minutes
+      await setCache(cacheKey, result, 1800); // 30 minutes
 
-      return journey;
+      return profileVisibilityService.applyToJourney(result, userId);
 
     } catch (error) {
       const duration = Date.now() - startTime;
@@ -123,28 +205,64 @@ class JourneyService {
         }
       });
 
+      // Destinations sent without their _id are new ones, so itinerary entries
+      // can only keep pointing at destinations that are resent with their _id
+      const destinations = Array.isArray(filteredUpdates.destinations)
+        ? filteredUpdates.destinations
+        : journey.destinations;
+      if (Array.isArray(filteredUpdates.itinerary)) {
+        assertItineraryReferences(destinations, filteredUpdates.itinerary);
+      } else if (Array.isArray(filteredUpdates.destinations)) {
+        const remainingIds = new Set(destinations.filter(destination => destination && destination._id).map(destination => String(destination._id)));
+        filteredUpdates.itinerary = journey.itinerary.map(entry => ({
+          ...entry.toObject(),
+          locations: entry.locations.filter(locationId => remainingIds.has(locationId.toString()))
+        }));
+      }
+
       const updatedJourney = await Journey.findByIdAndUpdate(
         journeyId,
         { $set: filteredUpdates },
         { new: true, runValidators: true }
       )
-      .populate('creator', 'username firstName lastName avatar')
-      .populate('collaborators.user', 'username firstName lastName avatar');
+      .populate('creator', USER_FIELDS)
+      .populate('collaborators.user', USER_FIELDS);
 
       const duration = Date.now() - startTime;
       Logger.dbOperation('UPDATE', 'journeys', duration);
 
+      // Photos of destinations dropped from the list go with them, as in removeDestination
+      if (Array.isArray(filteredUpdates.destinations)) {
+        const keptIds = new Set(updatedJourney.destinations.map(destination => destination._id.toString()));
+        const removedIds = journey.destinations
+          .map(destination => destination._id)
+          .filter(destinationId => !keptIds.has(destinationId.toString()));
+        if (removedIds.length > 0) {
+          await uploadService.deleteUploads({ journey: journey._id, destination: { $in: removedIds } });
+        }
+      }
+
+      await this.handleStatusChange(journey, journey.status, updatedJourney.status);
+
+      // Completed journeys make up the participants' travel footprints
+      if (journey.status === 'completed' || updatedJourney.status === 'completed') {
+        await footprintService.refreshFootprints(this.getParticipantIds(updatedJourney));
+      }
+
       // Clear caches
       await deleteCache(`journey:${journeyId}`);
       await deleteCachePattern(`journeys:user:${journey.creator}*`);
       if (journey.visibility === 'public') {
         await deleteCachePattern('journeys:public*');
       }
+      if (journey.visibility === 'public' || updatedJourney.visibility === 'public') {
+        await deleteCachePattern('map:clusters:*');
+      }
 
       return {
         success: true,
         message: 'Journey updated successfully',
-        journey: updatedJourney
+        journey: await profileVisibilityService.applyToJourney(updatedJourney, userId)
       };
 
     } catch (error) {
@@ -154,8 +272,8 @@ class JourneyService {
     }
   }
 
-  // Delete journey
-  async deleteJourney(journeyId, userId) {
+  // Delete journey (admins pass { force: true } to skip the ownership check)
+  async deleteJourney(journeyId, userId, options = {}) {
     const startTime = Date.now();
     
     try {
@@ -165,8 +283,10 @@ class JourneyService {
         throw new Error('Journey not found');
       }
 
+      const creatorId = journey.creator.toString();
+
       // Only creator can delete
-      if (journey.creator.toString() !== userId) {
+      if (!options.force && creatorId !== userId) {
         throw new Error('Only the creator can delete this journey');
       }
 
@@ -175,16 +295,29 @@ class JourneyService {
       const duration = Date.now() - startTime;
       Logger.dbOperation('DELETE', 'journeys', duration);
 
+      // Remove cover, journey and destination photos from storage
+      await uploadService.deleteUploads({ journey: journeyId });
+
+      if (journey.status === 'completed') {
+        await footprintService.refreshFootprints(this.getParticipantIds(journey));
+      }
+
       // Update user stats
       await User.findByIdAndUpdate(
-        userId,
-        { $inc: { 'stats.journeysCreated': -1 } }
+        creatorId,
+        {
+          $inc: {
+            'stats.journeysCreated': -1,
+            ...(journey.status === 'completed' ? { 'stats.journeysCompleted': -1 } : {})
+          }
+        }
       );
 
       // Clear caches
       await deleteCache(`journey:${journeyId}`);
-      await deleteCachePattern(`journeys:user:${userId}*`);
+      await deleteCachePattern(`journeys:user:${creatorId}*`);
       await deleteCachePattern('journeys:public*');
+      await deleteCachePattern('map:clusters:*');
 
       return {
         success: true,
@@ -198,22 +331,430 @@ class JourneyService {
     }
   }
 
+  // Upload a new cover image, replacing the previous uploaded one
+  async setCoverImage(journeyId, file, userId) {
+    const startTime = Date.now();
+
+    try {
+      const journey = await this.getEditableJourney(journeyId, userId);
+
+      const previousCover = journey.coverImage;
+      const upload = await uploadService.storeImage(file, {
+        owner: userId,
+        purpose: 'journey_cover',
+        journey: journey._id,
+        keepLocation: await this.keepsPhotoLocation(userId)
+      });
+
+      journey.coverImage = upload.url;
+      await journey.save();
+
+      if (previousCover) {
+        await uploadService.deleteUploads({ journey: journey._id, purpose: 'journey_cover', url: previousCover });
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration);
+
+      await this.clearJourneyCaches(journey);
+
+      return {
+        success: true,
+        message: 'Cover image updated successfully',
+        coverImage: upload.url,
+        image: uploadService.toPublic(upload)
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration, error);
+      throw error;
+    }
+  }
+
+  // Upload photos to the journey, or to one of its destinations when destinationId is given
+  async addPhotos(journeyId, files, userId, destinationId = null) {
+    const startTime = Date.now();
+
+    try {
+      const journey = await this.getEditableJourney(journeyId, userId);
+
+      const destination = destinationId ? journey.destinations.id(destinationId) : null;
+      if (destinationId && !destination) {
+        throw new Error('Destination not found');
+      }
+
+      const uploads = await uploadService.storeImages(files, {
+        owner: userId,
+        purpose: destination ? 'destination_photo' : 'journey_photo',
+        journey: journey._id,
+        destination: destination ? destination._id : undefined,
+        keepLocation: await this.keepsPhotoLocation(userId)
+      });
+
+      const urls = uploads.map(upload => upload.url);
+      if (destination) {
+        destination.photos.push(...urls);
+        this.prefillDestinationFromPhotos(destination, uploads);
+      } else {
+        journey.photos.push(...urls);
+      }
+
+      try {
+        await journey.save();
+      } catch (error) {
+        await Promise.all(uploads.map(upload => uploadService.deleteUpload(upload)));
+        throw error;
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration);
+
+      await this.clearJourneyCaches(journey);
+
+      return {
+        success: true,
+        message: 'Photos uploaded successfully',
+        photos: uploads.map(upload => uploadService.toPublic(upload))
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration, error);
+      throw error;
+    }
+  }
+
+  // Delete an uploaded photo or cover and remove it from the journey
+  async removePhoto(journeyId, uploadId, userId) {
+    const startTime = Date.now();
+
+    try {
+      const journey = await this.getEditableJourney(journeyId, userId);
+
+      const upload = await uploadService.findJourneyUpload(journey._id, uploadId);
+      if (!upload) {
+        throw new Error('Photo not found');
+      }
+
+      journey.photos.pull(upload.url);
+      journey.destinations.forEach(destination => destination.photos.pull(upload.url));
+      if (journey.coverImage === upload.url) {
+        journey.coverImage = undefined;
+      }
+      await journey.save();
+
+      await uploadService.deleteUpload(upload);
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration);
+
+      await this.clearJourneyCaches(journey);
+
+      return {
+        success: true,
+        message: 'Photo deleted successfully'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration, error);
+      throw error;
+    }
+  }
+
+  // Add a destination, at `position` in the list or at the end
+  async addDestination(journeyId, destinationData, userId, position = null) {
+    const startTime = Date.now();
+
+    try {
+      const journey = await this.getEditableJourney(journeyId, userId);
+
+      if (journey.destinations.length >= MAX_DESTINATIONS) {
+        throw new Error(`A journey can have at most ${MAX_DESTINATIONS} destinations`);
+      }
+
+      const index = Number.isInteger(position)
+        ? Math.min(Math.max(position, 0), journey.destinations.length)
+        : journey.destinations.length;
+
+      journey.destinations.splice(index, 0, pickDestinationFields(destinationData));
+      const destination = journey.destinations[index];
+      await journey.save();
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration);
+
+      await this.handleDestinationsChange(journey);
+
+      return {
+        success: true,
+        message: 'Destination added successfully',
+        destination
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration, error);
+      throw error;
+    }
+  }
+
+  async updateDestination(journeyId, destinationId, destinationData, userId) {
+    const startTime = Date.now();
+
+    try {
+      const journey = await this.getEditableJourney(journeyId, userId);
+
+      const destination = journey.destinations.id(destinationId);
+      if (!destination) {
+        throw new Error('Destination not found');
+      }
+
+      destination.set(pickDestinationFields(destinationData));
+      await journey.save();
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration);
+
+      await this.handleDestinationsChange(journey);
+
+      return {
+        success: true,
+        message: 'Destination updated successfully',
+        destination
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration, error);
+      throw error;
+    }
+  }
+
+  // Remove a destination, its place in every itinerary day and its photos
+  async removeDestination(journeyId, destinationId, userId) {
+    const startTime = Date.now();
+
+    try {
+      const journey = await this.getEditableJourney(journeyId, userId);
+
+      const destination = journey.destinations.id(destinationId);
+      if (!destination) {
+        throw new Error('Destination not found');
+      }
+
+      journey.destinations.pull(destination._id);
+      journey.itinerary.forEach(entry => entry.locations.pull(destination._id));
+      await journey.save();
+
+      await uploadService.deleteUploads({ journey: journey._id, destination: destination._id });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration);
+
+      await this.handleDestinationsChange(journey);
+
+      return {
+        success: true,
+        message: 'Destination removed successfully'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration, error);
+      throw error;
+    }
+  }
+
+  // Put destinations in the given order; destinationIds must list each one once
+  async reorderDestinations(journeyId, destinationIds, userId) {
+    const startTime = Date.now();
+
+    try {
+      const journey = await this.getEditableJourney(journeyId, userId);
+
+      const requestedIds = destinationIds.map(id => String(id));
+      const isPermutation = requestedIds.length === journey.destinations.length &&
+        new Set(requestedIds).size === requestedIds.length &&
+        requestedIds.every(id => journey.destinations.id(id));
+      if (!isPermutation) {
+        throw new Error('Destination order must list every destination exactly once');
+      }
+
+      journey.destinations = requestedIds.map(id => journey.destinations.id(id).toObject());
+      await journey.save();
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration);
+
+      await this.handleDestinationsChange(journey);
+
+      return {
+        success: true,
+        message: 'Destinations reordered successfully',
+        destinations: journey.destinations
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration, error);
+      throw error;
+    }
+  }
+
+  // Create or update the itinerary entry for a day
+  async setItineraryDay(journeyId, day, dayData, userId) {
+    const startTime = Date.now();
+
+    try {
+      const journey = await this.getEditableJourney(journeyId, userId);
+
+      if (dayData.locations) {
+        assertItineraryReferences(journey.destinations, [{ day, locations: dayData.locations }]);
+      }
+
+      const fields = {};
+      ['date', 'notes', 'locations'].forEach(key => {
+        if (dayData[key] !== undefined) {
+          fields[key] = dayData[key];
+        }
+      });
+
+      let entry = journey.itinerary.find(existing => existing.day === day);
+      const created = !entry;
+
+      if (entry) {
+        entry.set(fields);
+      } else {
+        journey.itinerary = [...journey.itinerary.map(existing => existing.toObject()), { day, ...fields }]
+          .sort((a, b) => a.day - b.day);
+        entry = journey.itinerary.find(existing => existing.day === day);
+      }
+
+      await journey.save();
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration);
+
+      await this.clearJourneyCaches(journey);
+
+      return {
+        success: true,
+        message: created ? 'Itinerary day added successfully' : 'Itinerary day updated successfully',
+        created,
+        day: entry
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration, error);
+      throw error;
+    }
+  }
+
+  async removeItineraryDay(journeyId, day, userId) {
+    const startTime = Date.now();
+
+    try {
+      const journey = await this.getEditableJourney(journeyId, userId);
+
+      const entry = journey.itinerary.find(existing => existing.day === day);
+      if (!entry) {
+        throw new Error('Itinerary day not found');
+      }
+
+      journey.itinerary.pull(entry._id);
+      await journey.save();
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration);
+
+      await this.clearJourneyCaches(journey);
+
+      return {
+        success: true,
+        message: 'Itinerary day removed successfully'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration, error);
+      throw error;
+    }
+  }
+
+  // Move day plans around: `days` lists the current day numbers in their new
+  // order. Day numbers and dates stay in place, the plans move between them.
+  async reorderItinerary(journeyId, days, userId) {
+    const startTime = Date.now();
+
+    try {
+      const journey = await this.getEditableJourney(journeyId, userId);
+
+      const slots = journey.itinerary
+        .map(entry => ({ day: entry.day, date: entry.date }))
+        .sort((a, b) => a.day - b.day);
+      const isPermutation = days.length === slots.length &&
+        new Set(days).size === days.length &&
+        days.every(day => slots.some(slot => slot.day === day));
+      if (!isPermutation) {
+        throw new Error('Day order must list every itinerary day exactly once');
+      }
+
+      const plans = days.map(day => journey.itinerary.find(entry => entry.day === day).toObject());
+      journey.itinerary = plans.map((plan, index) => ({
+        ...plan,
+        day: slots[index].day,
+        date: slots[index].date
+      }));
+      await journey.save();
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration);
+
+      await this.clearJourneyCaches(journey);
+
+      return {
+        success: true,
+        message: 'Itinerary reordered successfully',
+        itinerary: journey.itinerary
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'journeys', duration, error);
+      throw error;
+    }
+  }
+
   // Get public journeys (feed)
-  async getPublicJourneys(page = 1, limit = 20, filters = {}) {
+  async getPublicJourneys(page = 1, limit = 20, filters = {}, viewerId = null) {
     const startTime = Date.now();
     
     try {
+      const hiddenUserIds = await blockService.getHiddenUserIds(viewerId);
+
+      // The feed cache is shared, so bypass it for viewers with a block list
+      const useCache = hiddenUserIds.length === 0;
       const cacheKey = `journeys:public:${page}:${limit}:${JSON.stringify(filters)}`;
-      const cachedJourneys = await getCache(cacheKey);
+      const cachedJourneys = useCache ? await getCache(cacheKey) : null;
       
       if (cachedJourneys) {
         Logger.debug('Public journeys served from cache', { page, limit });
-        return cachedJourneys;
+        return {
+          ...cachedJourneys,
+          journeys: await profileVisibilityService.applyToJourneys(cachedJourneys.journeys, viewerId)
+        };
       }
 
       const skip = (page - 1) * limit;
       const query = { visibility: 'public' };
 
+      if (hiddenUserIds.length > 0) {
+        query.creator = { $nin: hiddenUserIds };
+      }
+
       // Apply filters
       if (filters.tags && filters.tags.length > 0) {
         query.tags = { $in: filters.tags };
@@ -229,7 +770,7 @@ class JourneyService {
       }
 
       const journeys = await Journey.find(query)
-        .populate('creator', 'username firstName lastName avatar')
+        .populate('creator', USER_FIELDS)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit);
@@ -251,9 +792,14 @@ class JourneyService {
       };
 
       // Cache for 10 minutes
-      await setCache(cacheKey, result, 600);
+      if (useCache) {
+        await setCache(cacheKey, result, 600);
+      }
 
-      return result;
+      return {
+        ...result,
+        journeys: await profileVisibilityService.applyToJourneys(journeys, viewerId)
+      };
 
     } catch (error) {
       const duration = Date.now() - startTime;
@@ -267,24 +813,34 @@ class JourneyService {
     const startTime = Date.now();
     
     try {
+      const isOwner = userId === requesterId;
+      const isFriend = !isOwner && await friendService.areFriends(userId, requesterId);
+
+      // Only the shared public listing is cached
+      const useCache = !isOwner && !isFriend;
       const cacheKey = `journeys:user:${userId}:${page}:${limit}`;
-      const cachedJourneys = await getCache(cacheKey);
+      const cachedJourneys = useCache ? await getCache(cacheKey) : null;
       
-      if (cachedJourneys && userId !== requesterId) {
+      if (cachedJourneys) {
         Logger.debug('User journeys served from cache', { userId, page });
-        return cachedJourneys;
+        return {
+          ...cachedJourneys,
+          journeys: await profileVisibilityService.applyToJourneys(cachedJourneys.journeys, requesterId)
+        };
       }
 
       const skip = (page - 1) * limit;
       let query = { creator: userId };
 
-      // If not viewing own journeys, only show public ones
-      if (userId !== requesterId) {
+      // If not viewing own journeys, only show public ones (plus friends-only ones for friends)
+      if (isFriend) {
+        query.visibility = { $in: ['public', 'friends'] };
+      } else if (!isOwner) {
         query.visibility = 'public';
       }
 
       const journeys = await Journey.find(query)
-        .populate('creator', 'username firstName lastName avatar')
+        .populate('creator', USER_FIELDS)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit);
@@ -306,11 +862,14 @@ class JourneyService {
       };
 
       // Cache for 5 minutes (shorter for user-specific data)
-      if (userId !== requesterId) {
+      if (useCache) {
         await setCache(cacheKey, result, 300);
       }
 
-      return result;
+      return {
+        ...result,
+        journeys: await profileVisibilityService.applyToJourneys(journeys, requesterId)
+      };
 
     } catch (error) {
       const duration = Date.now() - startTime;
@@ -336,6 +895,10 @@ class JourneyService {
 
       const { userId: collaboratorId, role = 'viewer' } = collaboratorData;
 
+      if (await blockService.isBlockedBetween(userId, collaboratorId)) {
+        throw new Error('Cannot add this user as a collaborator');
+      }
+
       // Check if user is already a collaborator
       const existingCollaborator = journey.collaborators.find(
         collab => collab.user.toString() === collaboratorId
@@ -351,7 +914,7 @@ class JourneyService {
       });
 
       await journey.save();
-      await journey.populate('collaborators.user', 'username firstName lastName avatar');
+      await journey.populate('collaborators.user', USER_FIELDS);
 
       const duration = Date.now() - startTime;
       Logger.dbOperation('UPDATE', 'journeys', duration);
@@ -359,10 +922,18 @@ class JourneyService {
       // Clear cache
       await deleteCache(`journey:${journeyId}`);
 
+      await notificationService.notify({
+        recipient: collaboratorId,
+        actor: userId,
+        type: 'collaborator_added',
+        journey: journey._id,
+        text: journey.title
+      });
+
       return {
         success: true,
         message: 'Collaborator added successfully',
-        collaborators: journey.collaborators
+        collaborators: (await profileVisibilityService.applyToJourney(journey, userId)).collaborators
       };
 
     } catch (error) {
@@ -405,6 +976,16 @@ class JourneyService {
       // Clear cache
       await deleteCache(`journey:${journeyId}`);
 
+      if (!existingLike) {
+        await notificationService.notify({
+          recipient: journey.creator,
+          actor: userId,
+          type: 'journey_liked',
+          journey: journey._id,
+          text: journey.title
+        });
+      }
+
       return {
         success: true,
         liked: !existingLike,
@@ -429,17 +1010,21 @@ class JourneyService {
         throw new Error('Journey not found');
       }
 
-      if (!this.canUserViewJourney(journey, userId)) {
+      if (!(await this.canUserViewJourney(journey, userId))) {
         throw new Error('Access denied to comment on this journey');
       }
 
+      if (await blockService.isBlockedBetween(journey.creator, userId)) {
+        throw new Error('You cannot comment on this journey');
+      }
+
       journey.comments.push({
         user: userId,
         content: commentData.content
       });
 
       await journey.save();
-      await journey.populate('comments.user', 'username firstName lastName avatar');
+      await journey.populate('comments.user', USER_FIELDS);
 
       const duration = Date.now() - startTime;
       Logger.dbOperation('UPDATE', 'journeys', duration);
@@ -447,7 +1032,32 @@ class JourneyService {
       // Clear cache
       await deleteCache(`journey:${journeyId}`);
 
-      const newComment = journey.comments[journey.comments.length - 1];
+      const { comments } = await profileVisibilityService.applyToJourney(journey, userId);
+      const newComment = comments[comments.length - 1];
+
+      await notificationService.notify({
+        recipient: journey.creator,
+        actor: userId,
+        type: 'journey_commented',
+        journey: journey._id,
+        text: commentData.content
+      });
+
+      // The creator already hears about every comment
+      const mentionedUsers = await notificationService.findMentionedUsers(commentData.content);
+      for (const mentionedUser of mentionedUsers) {
+        const mentionedId = mentionedUser._id.toString();
+        if (mentionedId === journey.creator.toString()) continue;
+        if (!(await this.canUserViewJourney(journey, mentionedId))) continue;
+
+        await notificationService.notify({
+          recipient: mentionedId,
+          actor: userId,
+          type: 'mention',
+          journey: journey._id,
+          text: commentData.content
+        });
+      }
 
       return {
         success: true,
@@ -463,7 +1073,7 @@ class JourneyService {
   }
 
   // Search journeys
-  async searchJourneys(query, filters = {}, page = 1, limit = 20) {
+  async searchJourneys(query, filters = {}, page = 1, limit = 20, viewerId = null) {
     const startTime = Date.now();
     
     try {
@@ -486,7 +1096,7 @@ class JourneyService {
       }
 
       const journeys = await Journey.find(searchQuery)
-        .populate('creator', 'username firstName lastName avatar')
+        .populate('creator', USER_FIELDS)
         .sort({ 'stats.likes': -1, createdAt: -1 })
         .skip(skip)
         .limit(limit);
@@ -497,7 +1107,7 @@ class JourneyService {
       Logger.dbOperation('READ', 'journeys', duration);
 
       return {
-        journeys,
+        journeys: await profileVisibilityService.applyToJourneys(journeys, viewerId),
         pagination: {
           currentPage: page,
           totalPages: Math.ceil(total / limit),
@@ -514,19 +1124,375 @@ class JourneyService {
     }
   }
 
+  // Public journeys with a destination within radiusKm of a point, nearest first
+  async findNearbyJourneys({ latitude, longitude, radiusKm }, page = 1, limit = 20, viewerId = null) {
+    const center = { latitude, longitude };
+
+    return this.searchByLocation({
+      center,
+      maxDistance: radiusKm * 1000,
+      geoFilter: {
+        'destinations.coordinates': {
+          $geoWithin: { $centerSphere: [[longitude, latitude], radiusKm / EARTH_RADIUS_KM] }
+        }
+      },
+      isMatch: (position) => haversineDistance(center, position) <= radiusKm
+    }, page, limit, viewerId);
+  }
+
+  // Public journeys with a destination inside a bounding box, nearest to its centre first
+  async findJourneysInBounds(bbox, page = 1, limit = 20, viewerId = null) {
+    const conditions = boundingBoxToPolygons(bbox).map(polygon => ({
+      'destinations.coordinates': { $geoWithin: { $geometry: polygon } }
+    }));
+
+    return this.searchByLocation({
+      center: boundingBoxCenter(bbox),
+      geoFilter: conditions.length === 1 ? conditions[0] : { $or: conditions },
+      isMatch: (position) => isInBoundingBox(position, bbox)
+    }, page, limit, viewerId);
+  }
+
+  // Shared by the location searches: `geoFilter` selects journeys by their
+  // destinations, `isMatch` picks out the matching destinations to highlight
+  async searchByLocation({ center, maxDistance, geoFilter, isMatch }, page, limit, viewerId) {
+    const startTime = Date.now();
+
+    try {
+      const skip = (page - 1) * limit;
+      const hiddenUserIds = await blockService.getHiddenUserIds(viewerId);
+
+      // Mongoose does not cast aggregation stages, so IDs are converted here
+      const query = { visibility: 'public', ...geoFilter };
+      if (hiddenUserIds.length > 0) {
+        query.creator = { $nin: hiddenUserIds.map(id => new mongoose.Types.ObjectId(id)) };
+      }
+
+      const geoNear = {
+        near: toGeoPoint(center),
+        key: 'destinations.coordinates',
+        distanceField: 'distance',
+        spherical: true,
+        query
+      };
+      if (maxDistance) {
+        geoNear.maxDistance = maxDistance;
+      }
+
+      const [journeys, total] = await Promise.all([
+        Journey.aggregate([
+          { $geoNear: geoNear },
+          { $skip: skip },
+          { $limit: limit }
+        ]),
+        Journey.countDocuments(query)
+      ]);
+      await Journey.populate(journeys, { path: 'creator', select: USER_FIELDS });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'journeys', duration);
+
+      const results = journeys.map(({ distance, ...journey }) => {
+        let matchedDestination = null;
+
+        const destinations = (journey.destinations || []).map(destination => {
+          const position = fromGeoPoint(destination.coordinates);
+          if (!position || !isMatch(position)) return destination;
+
+          const distanceKm = Math.round(haversineDistance(center, position) * 10) / 10;
+          if (!matchedDestination || distanceKm < matchedDestination.distanceKm) {
+            matchedDestination = {
+              _id: destination._id,
+              name: destination.name,
+              city: destination.city,
+              country: destination.country,
+              coordinates: destination.coordinates,
+              distanceKm
+            };
+          }
+          return { ...destination, matched: true };
+        });
+
+        return {
+          ...journey,
+          destinations,
+          distanceKm: matchedDestination ? matchedDestination.distanceKm : Math.round(distance / 100) / 10,
+          matchedDestination
+        };
+      });
+
+      return {
+        journeys: await profileVisibilityService.applyToJourneys(results, viewerId),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalJourneys: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'journeys', duration, error);
+      throw error;
+    }
+  }
+
+  // Public destinations grouped into clusters for a map at the given zoom level.
+  // Clusters are computed and cached per map tile, so panning only computes the
+  // tiles that came into view. Every cluster of the tiles covering the bounding
+  // box is returned, including the parts of edge tiles outside it, so clusters
+  // and their counts do not change as the viewport moves within a tile.
+  async getMapClusters(bbox, zoom, viewerId = null) {
+    const startTime = Date.now();
+
+    try {
+      const tiles = tilesForBoundingBox(bbox, zoom);
+      if (tiles.length > MAX_CLUSTER_TILES) {
+        throw new Error('Bounding box is too large for this zoom level');
+      }
+
+      const hiddenUserIds = await blockService.getHiddenUserIds(viewerId);
+
+      // Cached tiles are shared, so only use them for viewers without blocks
+      const useCache = hiddenUserIds.length === 0;
+
+      const clusters = [];
+      for (const tile of tiles) {
+        clusters.push(...await this.getTileClusters(tile, zoom, hiddenUserIds, useCache));
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('AGGREGATE', 'journeys', duration);
+
+      return {
+        zoom,
+        clusters,
+        totalDestinations: clusters.reduce((sum, cluster) => sum + cluster.count, 0)
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('AGGREGATE', 'journeys', duration, error);
+      throw error;
+    }
+  }
+
+  // Clusters of one map tile. Destinations are assigned to grid cells in Web
+  // Mercator, the projection the map tiles are drawn in; each cluster carries
+  // the most liked journey in it as a sample.
+  async getTileClusters({ x, y }, zoom, hiddenUserIds, useCache) {
+    const cacheKey = `map:clusters:${zoom}:${x}:${y}`;
+
+    if (useCache) {
+      const cachedClusters = await getCache(cacheKey);
+      if (cachedClusters) return cachedClusters;
+    }
+
+    const bounds = tileBounds(x, y, zoom);
+    const conditions = boundingBoxToPolygons(bounds).map(polygon => ({
+      'destinations.coordinates': { $geoWithin: { $geometry: polygon } }
+    }));
+    const geoFilter = conditions.length === 1 ? conditions[0] : { $or: conditions };
+
+    const query = { visibility: 'public', ...geoFilter };
+    if (hiddenUserIds.length > 0) {
+      query.creator = { $nin: hiddenUserIds.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+
+    const worldCells = 2 ** zoom * CLUSTER_GRID;
+    const lastTile = 2 ** zoom - 1;
+    // Keeps destinations on a tile's edge in one of its own cells
+    const clampCell = (cell, tile) => ({
+      $min: [{ $max: [cell, tile * CLUSTER_GRID] }, (tile + 1) * CLUSTER_GRID - 1]
+    });
+    const latitudeRadians = { $degreesToRadians: '$latitude' };
+    const mercatorY = { $ln: { $tan: { $add: [Math.PI / 4, { $divide: [latitudeRadians, 2] }] } } };
+
+    const groups = await Journey.aggregate([
+      { $match: query },
+      { $unwind: '$destinations' },
+      {
+        $project: {
+          title: 1,
+          coverImage: 1,
+          likes: '$stats.likes',
+          destinationId: '$destinations._id',
+          destinationName: '$destinations.name',
+          longitude: { $arrayElemAt: ['$destinations.coordinates.coordinates', 0] },
+          latitude: { $arrayElemAt: ['$destinations.coordinates.coordinates', 1] }
+        }
+      },
+      // Exact tile edges, so a destination on a border counts in one tile only;
+      // the last column and row also take the antimeridian and the southern edge
+      {
+        $match: {
+          longitude: x === lastTile
+            ? { $gte: bounds.minLng, $lte: bounds.maxLng }
+            : { $gte: bounds.minLng, $lt: bounds.maxLng },
+          latitude: y === lastTile
+            ? { $gte: bounds.minLat, $lte: bounds.maxLat }
+            : { $gt: bounds.minLat, $lte: bounds.maxLat }
+        }
+      },
+      {
+        $addFields: {
+          cellX: clampCell(
+            { $floor: { $multiply: [{ $divide: [{ $add: ['$longitude', 180] }, 360] }, worldCells] } },
+            x
+          ),
+          cellY: clampCell(
+            {
+              $floor: {
+                $multiply: [
+                  { $divide: [{ $subtract: [1, { $divide: [mercatorY, Math.PI] }] }, 2] },
+                  worldCells
+                ]
+              }
+            },
+            y
+          )
+        }
+      },
+      { $sort: { likes: -1, _id: 1 } },
+      {
+        $group: {
+          _id: { x: '$cellX', y: '$cellY' },
+          count: { $sum: 1 },
+          journeyIds: { $addToSet: '$_id' },
+          latitude: { $avg: '$latitude' },
+          longitude: { $avg: '$longitude' },
+          sample: {
+            $first: {
+              _id: '$_id',
+              title: '$title',
+              coverImage: '$coverImage',
+              destination: { _id: '$destinationId', name: '$destinationName' }
+            }
+          }
+        }
+      }
+    ]);
+
+    const clusters = groups.map(group => ({
+      id: `${zoom}/${group._id.x}/${group._id.y}`,
+      count: group.count,
+      journeyCount: group.journeyIds.length,
+      centroid: toGeoPoint({ latitude: group.latitude, longitude: group.longitude }),
+      sampleJourney: group.sample
+    }));
+
+    if (useCache) {
+      await setCache(cacheKey, clusters, 300); // 5 minutes
+    }
+
+    return clusters;
+  }
+
   // Helper methods
-  canUserViewJourney(journey, userId) {
+  async canUserViewJourney(journey, userId) {
     if (journey.visibility === 'public') return true;
     if (!userId) return false;
-    if (journey.creator._id.toString() === userId) return true;
+
+    const creatorId = (journey.creator._id || journey.creator).toString();
+    if (creatorId === userId) return true;
+
+    const isCollaborator = journey.collaborators.some(
+      collab => (collab.user._id || collab.user).toString() === userId
+    );
+
     if (journey.visibility === 'collaborators') {
-      return journey.collaborators.some(
-        collab => collab.user._id.toString() === userId
-      );
+      return isCollaborator;
+    }
+    if (journey.visibility === 'friends') {
+      return isCollaborator || await friendService.areFriends(creatorId, userId);
     }
     return false;
   }
 
+  // Keep the creator's completed count in step with the journey status and
+  // let everyone who took part earn completion badges
+  async handleStatusChange(journey, previousStatus, newStatus) {
+    if (previousStatus === newStatus) return;
+
+    if (newStatus === 'completed' || previousStatus === 'completed') {
+      await User.findByIdAndUpdate(
+        journey.creator,
+        { $inc: { 'stats.journeysCompleted': newStatus === 'completed' ? 1 : -1 } }
+      );
+    }
+
+    if (newStatus === 'completed') {
+      for (const participantId of this.getParticipantIds(journey)) {
+        await badgeService.handleEvent('journey_completed', participantId);
+      }
+    }
+  }
+
+  // Creator and collaborator IDs as strings; works on populated and plain journeys
+  getParticipantIds(journey) {
+    return [journey.creator, ...journey.collaborators.map(collab => collab.user)]
+      .filter(Boolean)
+      .map(participant => (participant._id || participant).toString());
+  }
+
+  async getEditableJourney(journeyId, userId) {
+    const journey = await Journey.findById(journeyId);
+
+    if (!journey) {
+      throw new Error('Journey not found');
+    }
+
+    if (!this.canUserEditJourney(journey, userId)) {
+      throw new Error('Access denied to edit this journey');
+    }
+
+    return journey;
+  }
+
+  // Whether the user opted in to keeping GPS data in their uploaded photos
+  async keepsPhotoLocation(userId) {
+    const user = await User.findById(userId).select('preferences.privacy.keepPhotoLocation').lean();
+    return Boolean(user?.preferences?.privacy?.keepPhotoLocation);
+  }
+
+  // Fill in a destination's visit date and coordinates from photo EXIF when the
+  // user has not set them; locations are only present when the user keeps them
+  prefillDestinationFromPhotos(destination, uploads) {
+    if (!destination.visitDate) {
+      const dated = uploads.find(upload => upload.takenAt);
+      if (dated) {
+        destination.visitDate = dated.takenAt;
+      }
+    }
+
+    if (!isValidGeoPoint(destination.coordinates)) {
+      const located = uploads.find(upload => isValidCoordinates(upload.location));
+      if (located) {
+        destination.coordinates = toGeoPoint(located.location);
+      }
+    }
+  }
+
+  // Destinations feed the travel footprints of completed journeys
+  async handleDestinationsChange(journey) {
+    await this.clearJourneyCaches(journey);
+    if (journey.status === 'completed') {
+      await footprintService.refreshFootprints(this.getParticipantIds(journey));
+    }
+  }
+
+  async clearJourneyCaches(journey) {
+    await deleteCache(`journey:${journey._id}`);
+    await deleteCachePattern(`journeys:user:${journey.creator}*`);
+    if (journey.visibility === 'public') {
+      await deleteCachePattern('journeys:public*');
+    }
+    // Cluster samples name journeys, so a change must not leave a stale one on the map
+    await deleteCachePattern('map:clusters:*');
+  }
+
   canUserEditJourney(journey, userId) {
     if (!userId) return false;
     if (journey.creator.toString() === userId) return true;
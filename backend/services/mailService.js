@@ -0,0 +1,124 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { mail } = require('../config/config');
+const Logger = require('../utils/logger');
+
+// Writes each message as a JSON file so local runs can inspect outgoing mail
+const createOutboxTransport = (options = {}) => {
+  const outboxDir = options.outboxDir || path.join(os.tmpdir(), 'travel-platform-outbox');
+
+  return {
+    name: 'outbox',
+    async send(message) {
+      await fs.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+      return { messageId: fileName, path: filePath };
+    }
+  };
+};
+
+// Delivers through an SMTP relay
+const createSmtpTransport = (options = {}) => {
+  const smtp = options.smtp || {};
+  if (!smtp.host) {
+    throw new Error('SMTP host is not configured');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+class MailService {
+  constructor() {
+    this.transportFactories = new Map();
+    this.transport = null;
+
+    this.registerTransport('outbox', createOutboxTransport);
+    this.registerTransport('smtp', createSmtpTransport);
+  }
+
+  // Register a transport factory; factories receive the `mail` config section
+  registerTransport(name, factory) {
+    this.transportFactories.set(name, factory);
+  }
+
+  // Replace the active transport (useful for tests or custom providers)
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      const factory = this.transportFactories.get(mail.transport);
+      if (!factory) {
+        throw new Error(`Unknown mail transport: ${mail.transport}`);
+      }
+      this.transport = factory(mail);
+    }
+    return this.transport;
+  }
+
+  // Escape user-provided values before interpolating them into HTML bodies
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  async sendMail({ to, subject, text, html, headers }) {
+    const startTime = Date.now();
+    const transport = this.getTransport();
+
+    const message = {
+      from: mail.from,
+      to,
+      subject,
+      text,
+      html,
+      headers,
+      date: new Date().toISOString()
+    };
+
+    try {
+      const result = await transport.send(message);
+
+      Logger.info('Email sent', {
+        transport: transport.name,
+        subject,
+        duration: `${Date.now() - startTime}ms`
+      });
+
+      return result;
+
+    } catch (error) {
+      Logger.error('Failed to send email', {
+        transport: transport.name,
+        subject,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,225 @@
+const EventEmitter = require('events');
+const Notification = require('../models/notificationModel');
+const User = require('../models/userModel');
+const blockService = require('./blockService');
+const { publishMessage, subscribeToChannel } = require('../utils/redisClient');
+const Logger = require('../utils/logger');
+
+const DELIVERY_CHANNEL = 'notifications:deliver';
+
+// Unread duplicates of these are not repeated (e.g. like/unlike/like, a flurry of questions)
+const COLLAPSIBLE_TYPES = ['journey_liked', 'qa_question'];
+
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_.-]{3,30})/g;
+const MAX_MENTIONS = 10;
+
+const ACTOR_FIELDS = 'username firstName lastName avatar';
+
+// Emits 'notification' with { userId, notification } for live delivery.
+//
+// preferences.notifications decides what reaches a user:
+//   chat  - notifications coming from chat (Q&A questions, chat mentions) are recorded
+//   push  - new notifications are delivered live over the socket
+//   email - used by the email digest
+// Nothing is recorded for actions of users the recipient blocked or muted.
+class NotificationService extends EventEmitter {
+  // Record a notification and deliver it live; returns null when it was skipped
+  async notify({ recipient, actor, type, journey, chatRoom, message, text }) {
+    const startTime = Date.now();
+
+    try {
+      const recipientId = recipient.toString();
+      const actorId = actor ? actor.toString() : null;
+
+      if (actorId === recipientId) return null;
+      if (actorId && await blockService.isBlockedBetween(recipientId, actorId)) return null;
+
+      const user = await User.findById(recipientId).select('preferences.notifications isDeleted mutedUsers').lean();
+      if (!user || user.isDeleted) return null;
+      if (actorId && (user.mutedUsers || []).some(mutedId => mutedId.toString() === actorId)) return null;
+
+      const preferences = user.preferences?.notifications || {};
+      const fromChat = type === 'qa_question' || Boolean(chatRoom);
+      if (fromChat && preferences.chat === false) return null;
+
+      if (COLLAPSIBLE_TYPES.includes(type)) {
+        const duplicateQuery = { recipient: recipientId, actor: actorId, type, readAt: null };
+        if (journey) duplicateQuery.journey = journey;
+        if (chatRoom) duplicateQuery.chatRoom = chatRoom;
+        if (await Notification.exists(duplicateQuery)) return null;
+      }
+
+      const notification = await Notification.create({
+        recipient: recipientId,
+        actor: actorId,
+        type,
+        journey,
+        chatRoom,
+        message,
+        text: text ? text.slice(0, 200) : undefined
+      });
+      await notification.populate('actor', ACTOR_FIELDS);
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('CREATE', 'notifications', duration);
+
+      if (preferences.push !== false) {
+        await this.deliver(recipientId, notification.toObject());
+      }
+
+      return notification;
+
+    } catch (error) {
+      // Notifications accompany other actions and must not make them fail
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('CREATE', 'notifications', duration, error);
+      Logger.error('Failed to record notification', { type, recipient: recipient?.toString(), error: error.message });
+      return null;
+    }
+  }
+
+  // Users @mentioned in a piece of text, at most MAX_MENTIONS of them
+  async findMentionedUsers(content) {
+    if (!content) return [];
+
+    const usernames = new Set();
+    for (const match of content.matchAll(MENTION_PATTERN)) {
+      usernames.add(match[2].replace(/[.-]+$/, ''));
+      if (usernames.size >= MAX_MENTIONS) break;
+    }
+    if (usernames.size === 0) return [];
+
+    try {
+      return await User.find({ username: { $in: [...usernames] }, isDeleted: { $ne: true } })
+        .select('_id username')
+        .lean();
+    } catch (error) {
+      Logger.error('Failed to resolve mentions', { error: error.message });
+      return [];
+    }
+  }
+
+  // Deliver through Redis so whichever instance holds the user's sockets emits it;
+  // without Redis only this process can deliver
+  async deliver(userId, notification) {
+    const payload = { userId, notification };
+    const published = await publishMessage(DELIVERY_CHANNEL, payload);
+    if (!published) {
+      this.emit('notification', payload);
+    }
+  }
+
+  // Listen for notifications to deliver, from this process or any other instance
+  async onNotification(callback) {
+    this.on('notification', callback);
+    await subscribeToChannel(DELIVERY_CHANNEL, callback);
+  }
+
+  // Notifications of a user, newest first
+  async listNotifications(userId, page = 1, limit = 20, unreadOnly = false) {
+    const startTime = Date.now();
+
+    try {
+      const skip = (page - 1) * limit;
+      const query = { recipient: userId };
+      if (unreadOnly) {
+        query.readAt = null;
+      }
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(query)
+          .populate('actor', ACTOR_FIELDS)
+          .populate('journey', 'title')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Notification.countDocuments(query),
+        this.getUnreadCount(userId)
+      ]);
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'notifications', duration);
+
+      return {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalNotifications: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'notifications', duration, error);
+      throw error;
+    }
+  }
+
+  getUnreadCount(userId) {
+    return Notification.countDocuments({ recipient: userId, readAt: null });
+  }
+
+  async markRead(userId, notificationId) {
+    const startTime = Date.now();
+
+    try {
+      const notification = await Notification.findOne({ _id: notificationId, recipient: userId });
+
+      if (!notification) {
+        throw new Error('Notification not found');
+      }
+
+      if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save();
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'notifications', duration);
+
+      return {
+        success: true,
+        message: 'Notification marked as read',
+        unreadCount: await this.getUnreadCount(userId)
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'notifications', duration, error);
+      throw error;
+    }
+  }
+
+  async markAllRead(userId) {
+    const startTime = Date.now();
+
+    try {
+      const result = await Notification.updateMany(
+        { recipient: userId, readAt: null },
+        { $set: { readAt: new Date() } }
+      );
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'notifications', duration);
+
+      return {
+        success: true,
+        message: 'All notifications marked as read',
+        updated: result.modifiedCount,
+        unreadCount: 0
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'notifications', duration, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new NotificationService();
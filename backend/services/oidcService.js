@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { oidc } = require('../config/config');
+const { setKey, getKey, deleteKey } = require('../utils/redisClient');
+const Logger = require('../utils/logger');
+
+const STATE_TTL = 600; // 10 minutes to complete the provider round-trip
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+const base64Url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+// Generic OpenID Connect client: authorization code flow with PKCE (S256)
+class OIDCService {
+  constructor() {
+    this.metadataCache = new Map(); // provider -> { metadata, fetchedAt }
+    this.jwksCache = new Map(); // jwks_uri -> { keys, fetchedAt }
+  }
+
+  getProvider(providerName) {
+    const provider = oidc.providers[providerName];
+    if (!provider || !provider.issuer || !provider.clientId) {
+      throw new Error('Unknown identity provider');
+    }
+    return provider;
+  }
+
+  listProviders() {
+    return Object.keys(oidc.providers);
+  }
+
+  // Seconds a started login or link stays valid
+  get stateTtl() {
+    return STATE_TTL;
+  }
+
+  getRedirectUri(providerName) {
+    return `${oidc.redirectBaseUrl}/${providerName}/callback`;
+  }
+
+  // Fetch and cache the provider's discovery document
+  async discover(provider) {
+    const cached = this.metadataCache.get(provider.name);
+    if (cached && Date.now() - cached.fetchedAt < METADATA_TTL_MS) {
+      return cached.metadata;
+    }
+
+    const discoveryUrl = `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const { data: metadata } = await axios.get(discoveryUrl, { timeout: 10000 });
+
+    if (!metadata.authorization_endpoint || !metadata.token_endpoint) {
+      throw new Error('Invalid identity provider configuration');
+    }
+
+    this.metadataCache.set(provider.name, { metadata, fetchedAt: Date.now() });
+    return metadata;
+  }
+
+  // Build the provider authorization URL and remember the PKCE verifier, state and nonce.
+  // The returned browserBinding goes to the starting browser in a cookie; the
+  // callback must bring it back, so a leaked authorization URL cannot be completed
+  // by anyone else.
+  async createAuthorizationRequest(providerName, context = {}) {
+    const provider = this.getProvider(providerName);
+    const metadata = await this.discover(provider);
+
+    const state = base64Url(crypto.randomBytes(32));
+    const nonce = base64Url(crypto.randomBytes(32));
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    const codeChallenge = base64Url(sha256(codeVerifier));
+    const browserBinding = base64Url(crypto.randomBytes(32));
+
+    await setKey(`oidc_state:${state}`, {
+      provider: providerName,
+      codeVerifier,
+      nonce,
+      bindingHash: sha256(browserBinding).toString('hex'),
+      linkUserId: context.linkUserId || null
+    }, STATE_TTL);
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: this.getRedirectUri(providerName),
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return {
+      authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+      state,
+      browserBinding
+    };
+  }
+
+  // Validate the callback, exchange the code and return verified ID token claims
+  async handleCallback(providerName, { code, state, browserBinding }) {
+    const provider = this.getProvider(providerName);
+
+    const stored = state ? await getKey(`oidc_state:${state}`) : null;
+    if (!stored || stored.provider !== providerName) {
+      throw new Error('Invalid or expired login state');
+    }
+    // State is single-use
+    await deleteKey(`oidc_state:${state}`);
+
+    if (!this.isSameBrowser(stored, browserBinding)) {
+      Logger.warn('OIDC callback from a different browser', { provider: providerName });
+      throw new Error('Invalid or expired login state');
+    }
+
+    const metadata = await this.discover(provider);
+    const tokenResponse = await this.exchangeCode(provider, metadata, code, stored.codeVerifier);
+
+    if (!tokenResponse.id_token) {
+      throw new Error('Identity provider did not return an ID token');
+    }
+
+    const claims = await this.verifyIdToken(provider, metadata, tokenResponse.id_token, stored.nonce);
+
+    return {
+      claims,
+      linkUserId: stored.linkUserId
+    };
+  }
+
+  isSameBrowser(stored, browserBinding) {
+    if (!stored.bindingHash || !browserBinding) return false;
+    return crypto.timingSafeEqual(Buffer.from(stored.bindingHash, 'hex'), sha256(browserBinding));
+  }
+
+  async exchangeCode(provider, metadata, code, codeVerifier) {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.getRedirectUri(provider.name),
+      client_id: provider.clientId,
+      code_verifier: codeVerifier
+    });
+    if (provider.clientSecret) {
+      body.set('client_secret', provider.clientSecret);
+    }
+
+    try {
+      const { data } = await axios.post(metadata.token_endpoint, body.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+      });
+      return data;
+    } catch (error) {
+      Logger.error('OIDC code exchange failed', {
+        provider: provider.name,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+      throw new Error('Failed to exchange authorization code');
+    }
+  }
+
+  async verifyIdToken(provider, metadata, idToken, expectedNonce) {
+    const decodedHeader = jwt.decode(idToken, { complete: true });
+    if (!decodedHeader) {
+      throw new Error('Invalid ID token');
+    }
+
+    const { alg, kid } = decodedHeader.header;
+    let key;
+    let algorithms;
+
+    if (alg === 'HS256') {
+      // Symmetric signatures are keyed with the client secret
+      if (!provider.clientSecret) {
+        throw new Error('Invalid ID token');
+      }
+      key = provider.clientSecret;
+      algorithms = ['HS256'];
+    } else {
+      key = await this.getSigningKey(metadata, kid);
+      algorithms = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms,
+        issuer: metadata.issuer || provider.issuer,
+        audience: provider.clientId
+      });
+    } catch (error) {
+      Logger.warn('OIDC ID token rejected', { provider: provider.name, error: error.message });
+      throw new Error('Invalid ID token');
+    }
+
+    if (claims.nonce !== expectedNonce) {
+      throw new Error('Invalid ID token');
+    }
+
+    return claims;
+  }
+
+  async getSigningKey(metadata, kid) {
+    if (!metadata.jwks_uri) {
+      throw new Error('Invalid identity provider configuration');
+    }
+
+    const findKey = (keys) => keys.find(jwk => (!kid || jwk.kid === kid) && jwk.use !== 'enc');
+
+    let cached = this.jwksCache.get(metadata.jwks_uri);
+    let jwk = cached && Date.now() - cached.fetchedAt < METADATA_TTL_MS ? findKey(cached.keys) : null;
+
+    // Unknown kid usually means the provider rotated keys: refetch once
+    if (!jwk) {
+      const { data } = await axios.get(metadata.jwks_uri, { timeout: 10000 });
+      cached = { keys: data.keys || [], fetchedAt: Date.now() };
+      this.jwksCache.set(metadata.jwks_uri, cached);
+      jwk = findKey(cached.keys);
+    }
+
+    if (!jwk) {
+      throw new Error('Invalid ID token');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+}
+
+module.exports = new OIDCService();
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const PersonalAccessToken = require('../models/personalAccessTokenModel');
+const Logger = require('../utils/logger');
+
+const TOKEN_PREFIX = 'tpat_';
+const MAX_ACTIVE_TOKENS = 25;
+// Write lastUsedAt at most once a minute per token
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class PersonalAccessTokenService {
+  get scopes() {
+    return PersonalAccessToken.SCOPES;
+  }
+
+  isPersonalAccessToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  // Create a token; the raw value is returned only here
+  async createToken(userId, { name, scopes, expiresInDays }) {
+    const startTime = Date.now();
+
+    try {
+      const invalidScopes = scopes.filter(scope => !this.scopes.includes(scope));
+      if (invalidScopes.length > 0) {
+        throw new Error(`Invalid scopes: ${invalidScopes.join(', ')}`);
+      }
+
+      const activeCount = await PersonalAccessToken.countDocuments({
+        user: userId,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+      });
+      if (activeCount >= MAX_ACTIVE_TOKENS) {
+        throw new Error(`You can have at most ${MAX_ACTIVE_TOKENS} active tokens`);
+      }
+
+      const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+      const record = await PersonalAccessToken.create({
+        user: userId,
+        name,
+        tokenHash: hashToken(token),
+        prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+      });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('CREATE', 'personalaccesstokens', duration);
+
+      return {
+        success: true,
+        message: 'Token created. Copy it now, it will not be shown again',
+        token,
+        personalAccessToken: this.toPublic(record)
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('CREATE', 'personalaccesstokens', duration, error);
+      throw error;
+    }
+  }
+
+  // List a user's tokens that have not been revoked
+  async listTokens(userId) {
+    const startTime = Date.now();
+
+    try {
+      const records = await PersonalAccessToken.find({ user: userId, revokedAt: null })
+        .sort({ createdAt: -1 });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'personalaccesstokens', duration);
+
+      return records.map(record => this.toPublic(record));
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'personalaccesstokens', duration, error);
+      throw error;
+    }
+  }
+
+  async revokeToken(userId, tokenId) {
+    const startTime = Date.now();
+
+    try {
+      const record = await PersonalAccessToken.findOneAndUpdate(
+        { _id: tokenId, user: userId, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+      );
+
+      if (!record) {
+        throw new Error('Token not found');
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'personalaccesstokens', duration);
+
+      return {
+        success: true,
+        message: 'Token revoked successfully'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'personalaccesstokens', duration, error);
+      throw error;
+    }
+  }
+
+  // Resolve a raw token to the request identity used by the auth middleware
+  async authenticate(token) {
+    const record = await PersonalAccessToken.findOne({ tokenHash: hashToken(token) })
+      .populate('user', 'isSuspended isDeleted');
+
+    if (!record || record.revokedAt || !record.user || record.user.isDeleted || record.user.isSuspended) {
+      throw new Error('Invalid personal access token');
+    }
+
+    if (record.expiresAt && record.expiresAt <= new Date()) {
+      throw new Error('Personal access token has expired');
+    }
+
+    if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > LAST_USED_THROTTLE_MS) {
+      await PersonalAccessToken.updateOne({ _id: record._id }, { lastUsedAt: new Date() });
+    }
+
+    return {
+      userId: record.user._id.toString(),
+      type: 'personal_access_token',
+      tokenId: record._id.toString(),
+      scopes: record.scopes
+    };
+  }
+
+  toPublic(record) {
+    return {
+      _id: record._id,
+      name: record.name,
+      prefix: record.prefix,
+      scopes: record.scopes,
+      lastUsedAt: record.lastUsedAt,
+      expiresAt: record.expiresAt,
+      createdAt: record.createdAt
+    };
+  }
+}
+
+module.exports = new PersonalAccessTokenService();
@@ -0,0 +1,110 @@
+const friendService = require('./friendService');
+const blockService = require('./blockService');
+
+// What a viewer gets to see of a profile, by preferences.privacy.profileVisibility:
+//
+//              public   friends   private
+//   owner      full     full      full
+//   friend     full     full      limited
+//   others     full     limited   denied
+//
+// Blocking either way denies access. A limited profile is a card with the
+// username and avatar only. Callers populate or select
+// preferences.privacy.profileVisibility along with the user fields; it is read
+// here and stripped from what the viewer gets.
+class ProfileVisibilityService {
+  // Friends and block relations of the viewer, loaded once and reused for every profile
+  async getViewerContext(viewerId) {
+    if (!viewerId) {
+      return { viewerId: null, friendIds: new Set(), hiddenIds: new Set() };
+    }
+
+    const [friendIds, hiddenIds] = await Promise.all([
+      friendService.getFriendIds(viewerId),
+      blockService.getHiddenUserIds(viewerId.toString())
+    ]);
+
+    return {
+      viewerId: viewerId.toString(),
+      friendIds: new Set(friendIds),
+      hiddenIds: new Set(hiddenIds)
+    };
+  }
+
+  // 'full', 'limited' or 'denied'
+  resolveAccess(user, context) {
+    const userId = user._id.toString();
+    if (userId === context.viewerId) return 'full';
+    if (context.hiddenIds.has(userId)) return 'denied';
+
+    const visibility = user.preferences?.privacy?.profileVisibility || 'public';
+    const isFriend = context.friendIds.has(userId);
+
+    if (visibility === 'public') return 'full';
+    if (visibility === 'friends') return isFriend ? 'full' : 'limited';
+    return isFriend ? 'limited' : 'denied';
+  }
+
+  async getAccess(user, viewerId) {
+    return this.resolveAccess(user, await this.getViewerContext(viewerId));
+  }
+
+  toCard(user) {
+    return {
+      _id: user._id,
+      username: user.username,
+      avatar: user.avatar
+    };
+  }
+
+  // A populated user reference as the viewer may see it. Content the viewer can
+  // see still names its author, so denied users show up as a card there too.
+  toReference(user, context) {
+    // Unpopulated IDs and users that no longer exist
+    if (!user || !user.username) return user;
+
+    if (this.resolveAccess(user, context) === 'full') {
+      const { preferences, ...visibleUser } = user;
+      return visibleUser;
+    }
+    return this.toCard(user);
+  }
+
+  // Plain copy of a journey with creator, collaborators and comment authors filtered
+  filterJourney(journey, context) {
+    const plainJourney = typeof journey.toObject === 'function' ? journey.toObject() : journey;
+
+    return {
+      ...plainJourney,
+      creator: this.toReference(plainJourney.creator, context),
+      collaborators: (plainJourney.collaborators || []).map(collab => ({
+        ...collab,
+        user: this.toReference(collab.user, context)
+      })),
+      comments: (plainJourney.comments || []).map(comment => ({
+        ...comment,
+        user: this.toReference(comment.user, context)
+      }))
+    };
+  }
+
+  async applyToJourney(journey, viewerId) {
+    return this.filterJourney(journey, await this.getViewerContext(viewerId));
+  }
+
+  async applyToJourneys(journeys, viewerId) {
+    const context = await this.getViewerContext(viewerId);
+    return journeys.map(journey => this.filterJourney(journey, context));
+  }
+
+  // Users as the viewer may see them; denied users are left out
+  async applyToUsers(users, viewerId) {
+    const context = await this.getViewerContext(viewerId);
+
+    return users
+      .filter(user => this.resolveAccess(user, context) !== 'denied')
+      .map(user => this.toReference(user, context));
+  }
+}
+
+module.exports = new ProfileVisibilityService();
@@ -0,0 +1,140 @@
+const Session = require('../models/sessionModel');
+const tokenService = require('./tokenService');
+const { refreshTokenTtl } = require('../config/config');
+const { setKey, getKey } = require('../utils/redisClient');
+const Logger = require('../utils/logger');
+
+// Write lastSeenAt at most this often per session
+const LAST_SEEN_THROTTLE = 300;
+
+class SessionService {
+  // Record a new login and issue tokens bound to it
+  async createSession(userId, context = {}) {
+    const startTime = Date.now();
+
+    try {
+      const session = await Session.create({
+        user: userId,
+        userAgent: context.userAgent ? context.userAgent.slice(0, 500) : undefined,
+        ip: context.ip,
+        lastSeenAt: new Date(),
+        expiresAt: new Date(Date.now() + refreshTokenTtl * 1000)
+      });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('CREATE', 'sessions', duration);
+
+      return {
+        sessionId: session._id,
+        ...tokenService.issueTokenPair(userId, session._id)
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('CREATE', 'sessions', duration, error);
+      throw error;
+    }
+  }
+
+  // Active sessions of a user, most recently used first
+  async listSessions(userId, currentSessionId) {
+    const startTime = Date.now();
+
+    try {
+      // Sessions opened before a user-wide revocation are dead even without revokedAt
+      const userRevokedAt = await tokenService.getUserRevokedAt(userId);
+
+      const query = {
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      };
+      if (userRevokedAt) {
+        query.createdAt = { $gt: new Date(userRevokedAt) };
+      }
+
+      const sessions = await Session.find(query)
+        .select('userAgent ip lastSeenAt createdAt expiresAt')
+        .sort({ lastSeenAt: -1 })
+        .lean();
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'sessions', duration);
+
+      return sessions.map(session => ({
+        ...session,
+        current: Boolean(currentSessionId) && session._id.toString() === currentSessionId
+      }));
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'sessions', duration, error);
+      throw error;
+    }
+  }
+
+  // Sign a single device out; its tokens and live sockets stop working immediately
+  async revokeSession(userId, sessionId) {
+    const startTime = Date.now();
+
+    try {
+      const session = await Session.findOneAndUpdate(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+      );
+
+      if (!session) {
+        throw new Error('Session not found');
+      }
+
+      await tokenService.revokeSession(userId, sessionId);
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'sessions', duration);
+
+      return {
+        success: true,
+        message: 'Session revoked successfully'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'sessions', duration, error);
+      throw error;
+    }
+  }
+
+  // Whether the user signed in to this session within the last maxAgeSeconds
+  async isRecentLogin(userId, sessionId, maxAgeSeconds) {
+    if (!sessionId) return false;
+
+    const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null })
+      .select('createdAt')
+      .lean();
+    return Boolean(session) && Date.now() - session.createdAt.getTime() <= maxAgeSeconds * 1000;
+  }
+
+  // Update last-seen time; `extend` also pushes out the expiry after a token refresh
+  async touchSession(sessionId, { extend = false } = {}) {
+    if (!sessionId) return false;
+
+    if (!extend) {
+      const throttleKey = `session_seen:${sessionId}`;
+      if (await getKey(throttleKey)) {
+        return false;
+      }
+      await setKey(throttleKey, true, LAST_SEEN_THROTTLE);
+    }
+
+    const update = { lastSeenAt: new Date() };
+    if (extend) {
+      update.expiresAt = new Date(Date.now() + refreshTokenTtl * 1000);
+    }
+
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, update);
+    return true;
+  }
+}
+
+module.exports = new SessionService();
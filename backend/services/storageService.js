@@ -0,0 +1,129 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const cloudinary = require('cloudinary').v2;
+const { uploads, cloudinary: cloudinaryConfig } = require('../config/config');
+const Logger = require('../utils/logger');
+
+// Storage adapters share one interface:
+//   save({ buffer, folder, extension, mimeType }) -> { key, url }
+//   delete(key) -> boolean
+
+// Files on local disk, served by the app under the configured public URL
+const createLocalAdapter = (options = {}) => {
+  const rootDir = path.resolve(options.localDir);
+  const publicUrl = options.publicUrl.replace(/\/$/, '');
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    // Keys are generated by us, but never let one escape the upload directory
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    rootDir,
+    async save({ buffer, folder, extension }) {
+      const key = `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}.${extension}`;
+      const filePath = resolveKey(key);
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      return { key, url: `${publicUrl}/${key}` };
+    },
+    async delete(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    }
+  };
+};
+
+// Files on Cloudinary; the key is the Cloudinary public ID
+const createCloudinaryAdapter = (options = {}, credentials = cloudinaryConfig) => {
+  if (!credentials.cloudName || !credentials.apiKey || !credentials.apiSecret) {
+    throw new Error('Cloudinary credentials are not configured');
+  }
+
+  cloudinary.config({
+    cloud_name: credentials.cloudName,
+    api_key: credentials.apiKey,
+    api_secret: credentials.apiSecret,
+    secure: true
+  });
+
+  return {
+    name: 'cloudinary',
+    save({ buffer, folder }) {
+      return new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+          { folder: `travel-platform/${folder}`, resource_type: 'image' },
+          (error, result) => {
+            if (error) return reject(error);
+            resolve({ key: result.public_id, url: result.secure_url });
+          }
+        );
+        stream.end(buffer);
+      });
+    },
+    async delete(key) {
+      const result = await cloudinary.uploader.destroy(key, { resource_type: 'image' });
+      return result.result === 'ok';
+    }
+  };
+};
+
+class StorageService {
+  constructor() {
+    this.adapterFactories = new Map();
+    this.adapters = new Map();
+
+    this.registerAdapter('local', createLocalAdapter);
+    this.registerAdapter('cloudinary', createCloudinaryAdapter);
+  }
+
+  // Register an adapter factory; factories receive the `uploads` config section
+  registerAdapter(name, factory) {
+    this.adapterFactories.set(name, factory);
+    this.adapters.delete(name);
+  }
+
+  // Adapter by name; defaults to the configured one. Older files may live in a
+  // different backend than the current default, so lookups by name stay possible.
+  getAdapter(name = uploads.storage) {
+    if (!this.adapters.has(name)) {
+      const factory = this.adapterFactories.get(name);
+      if (!factory) {
+        throw new Error(`Unknown storage adapter: ${name}`);
+      }
+      this.adapters.set(name, factory(uploads));
+    }
+    return this.adapters.get(name);
+  }
+
+  async save(file) {
+    const adapter = this.getAdapter();
+    const result = await adapter.save(file);
+    return { ...result, storage: adapter.name };
+  }
+
+  // Remove a stored file; failures are logged so callers can finish cleaning up the database
+  async delete(storage, key) {
+    try {
+      return await this.getAdapter(storage).delete(key);
+    } catch (error) {
+      Logger.error('Failed to delete stored file', { storage, key, error: error.message });
+      return false;
+    }
+  }
+}
+
+module.exports = new StorageService();
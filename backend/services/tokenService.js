@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const jwt = require('jsonwebtoken');
+const { jwtSecret, accessTokenTtl, refreshTokenTtl } = require('../config/config');
+const { setKey, getKey, publishMessage, subscribeToChannel } = require('../utils/redisClient');
+const Logger = require('../utils/logger');
+
+const REVOCATION_CHANNEL = 'auth:revocations';
+
+// Emits 'revoked' with { userId, sessionId? } so live connections can be closed
+class TokenService extends EventEmitter {
+  // Sign a token of the given type with a unique ID so it can be revoked individually.
+  // `iatMs` is the issue time in milliseconds; `iat` alone is too coarse to tell
+  // tokens from the same second apart from a user-wide revocation.
+  signToken(userId, type, expiresIn, extraClaims = {}) {
+    return jwt.sign(
+      { userId, type, jti: crypto.randomUUID(), iatMs: Date.now(), ...extraClaims },
+      jwtSecret,
+      { expiresIn }
+    );
+  }
+
+  // Issue a short-lived access token and a rotating refresh token,
+  // both bound to the login session when one is given
+  issueTokenPair(userId, sessionId) {
+    const claims = sessionId ? { sid: sessionId.toString() } : {};
+
+    return {
+      token: this.signToken(userId, 'access', accessTokenTtl, claims),
+      refreshToken: this.signToken(userId, 'refresh', refreshTokenTtl, claims),
+      expiresIn: accessTokenTtl
+    };
+  }
+
+  // Verify an access token, rejecting refresh tokens and revoked tokens
+  async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, jwtSecret);
+
+    if (decoded.type !== 'access') {
+      throw new Error('Invalid token type');
+    }
+
+    if (await this.isRevoked(decoded)) {
+      throw new Error('Token has been revoked');
+    }
+
+    return decoded;
+  }
+
+  // Verify a single-purpose token (e.g. email verification) of the expected type
+  verifyPurposeToken(token, type) {
+    const decoded = jwt.verify(token, jwtSecret);
+
+    if (decoded.type !== type) {
+      throw new Error('Invalid token type');
+    }
+
+    return decoded;
+  }
+
+  // Exchange a refresh token for a new token pair, revoking the old refresh token
+  async rotateRefreshToken(refreshToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, jwtSecret);
+    } catch (error) {
+      throw new Error('Invalid refresh token');
+    }
+
+    if (decoded.type !== 'refresh') {
+      throw new Error('Invalid refresh token');
+    }
+
+    if (await this.isRevoked(decoded)) {
+      // A rotated refresh token being replayed means it may have leaked:
+      // revoke every token issued to this user so far
+      await this.revokeAllForUser(decoded.userId);
+      Logger.warn('Revoked refresh token reused', { userId: decoded.userId, jti: decoded.jti });
+      throw new Error('Refresh token has been revoked');
+    }
+
+    await this.revokeToken(decoded);
+
+    return {
+      userId: decoded.userId,
+      sessionId: decoded.sid,
+      ...this.issueTokenPair(decoded.userId, decoded.sid)
+    };
+  }
+
+  // Revoke a single decoded token until it would have expired anyway
+  async revokeToken(decoded) {
+    if (!decoded || !decoded.jti) return false;
+
+    const remainingSeconds = decoded.exp - Math.floor(Date.now() / 1000);
+    if (remainingSeconds <= 0) return false;
+
+    return setKey(`revoked_token:${decoded.jti}`, true, remainingSeconds);
+  }
+
+  // Revoke a raw refresh token string (used on logout)
+  async revokeRefreshToken(refreshToken) {
+    try {
+      const decoded = jwt.verify(refreshToken, jwtSecret);
+      if (decoded.type !== 'refresh') return false;
+      return this.revokeToken(decoded);
+    } catch (error) {
+      // Expired or malformed tokens are already unusable
+      return false;
+    }
+  }
+
+  // Invalidate every token issued to a user up to now
+  async revokeAllForUser(userId) {
+    const revokedAt = Date.now();
+    await setKey(`revoked_user:${userId}`, revokedAt, refreshTokenTtl);
+
+    // Tokens issued from here on (e.g. right after a password change) must fall
+    // after the revocation instant
+    while (Date.now() <= revokedAt) {
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+
+    await this.notifyRevocation({ userId: userId.toString() });
+    return true;
+  }
+
+  // Time in milliseconds of the user's last user-wide revocation, or null.
+  // Older entries were stored in seconds.
+  async getUserRevokedAt(userId) {
+    const revokedAt = await getKey(`revoked_user:${userId}`);
+    if (!revokedAt) return null;
+    return revokedAt < 1e12 ? revokedAt * 1000 : revokedAt;
+  }
+
+  // Invalidate every token issued for one login session
+  async revokeSession(userId, sessionId) {
+    await setKey(`revoked_session:${sessionId}`, true, refreshTokenTtl);
+    await this.notifyRevocation({ userId: userId.toString(), sessionId: sessionId.toString() });
+    return true;
+  }
+
+  // Tell this process and, through Redis, every other instance
+  async notifyRevocation(payload) {
+    this.emit('revoked', payload);
+    await publishMessage(REVOCATION_CHANNEL, payload);
+  }
+
+  // Listen for revocations from any instance; the callback may see the same event twice
+  async onRevoked(callback) {
+    this.on('revoked', callback);
+    await subscribeToChannel(REVOCATION_CHANNEL, callback);
+  }
+
+  async isRevoked(decoded) {
+    if (await getKey(`revoked_token:${decoded.jti}`)) {
+      return true;
+    }
+
+    if (decoded.sid && await getKey(`revoked_session:${decoded.sid}`)) {
+      return true;
+    }
+
+    const userRevokedAt = await this.getUserRevokedAt(decoded.userId);
+    if (!userRevokedAt) return false;
+
+    // Tokens signed before iatMs existed only know their second: treat the whole second as revoked
+    const issuedAt = decoded.iatMs || decoded.iat * 1000;
+    return issuedAt <= userRevokedAt;
+  }
+}
+
+module.exports = new TokenService();
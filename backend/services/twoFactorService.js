@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const tokenService = require('./tokenService');
+const { twoFactorIssuer, twoFactorChallengeTtl, loginProtection } = require('../config/config');
+const { setCache, setKeyIfAbsent, incrementKey } = require('../utils/redisClient');
+const totp = require('../utils/totp');
+const Logger = require('../utils/logger');
+
+const RECOVERY_CODE_COUNT = 10;
+const SECRET_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes';
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+class TwoFactorService {
+  // Start enrollment: generate a secret the user adds to their authenticator app
+  async setupTwoFactor(userId) {
+    const startTime = Date.now();
+
+    try {
+      const user = await User.findById(userId).select(SECRET_FIELDS);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      const secret = totp.generateSecret();
+      user.twoFactorPendingSecret = secret;
+      await user.save({ validateBeforeSave: false });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      return {
+        success: true,
+        secret,
+        otpauthUrl: totp.buildOtpAuthUrl(secret, user.email, twoFactorIssuer)
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Finish enrollment with a code from the app; returns one-time recovery codes
+  async enableTwoFactor(userId, code) {
+    const startTime = Date.now();
+
+    try {
+      const user = await User.findById(userId).select(SECRET_FIELDS);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      if (!user.twoFactorPendingSecret) {
+        throw new Error('Two-factor setup has not been started');
+      }
+
+      if (totp.verifyCode(user.twoFactorPendingSecret, code) === null) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+
+      user.twoFactorSecret = user.twoFactorPendingSecret;
+      user.twoFactorPendingSecret = undefined;
+      user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+      user.twoFactorEnabled = true;
+      await user.save({ validateBeforeSave: false });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      await setCache(`user:${userId}`, user.getPublicProfile(), 3600);
+
+      return {
+        success: true,
+        message: 'Two-factor authentication enabled',
+        recoveryCodes
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Turn 2FA off; requires a current code or a recovery code
+  async disableTwoFactor(userId, code) {
+    const startTime = Date.now();
+
+    try {
+      const user = await User.findById(userId).select(SECRET_FIELDS);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (!user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is not enabled');
+      }
+
+      if (!(await this.verifyUserCode(user, code))) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      user.twoFactorEnabled = false;
+      user.twoFactorSecret = undefined;
+      user.twoFactorPendingSecret = undefined;
+      user.twoFactorRecoveryCodes = [];
+      await user.save({ validateBeforeSave: false });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      await setCache(`user:${userId}`, user.getPublicProfile(), 3600);
+
+      return {
+        success: true,
+        message: 'Two-factor authentication disabled'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Short-lived token proving the password step succeeded
+  createLoginChallenge(userId) {
+    return tokenService.signToken(userId, '2fa_challenge', twoFactorChallengeTtl);
+  }
+
+  // Decode a login challenge and load its user, throwing unless the challenge is still usable
+  async openLoginChallenge(challengeToken) {
+    let decoded;
+    try {
+      decoded = tokenService.verifyPurposeToken(challengeToken, '2fa_challenge');
+    } catch (error) {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+
+    if (await tokenService.isRevoked(decoded)) {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+
+    const user = await User.findById(decoded.userId).select(SECRET_FIELDS);
+    if (!user || !user.twoFactorEnabled) {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+
+    return { decoded, user };
+  }
+
+  // Check the code for an opened challenge. The challenge is single-use and is
+  // revoked after a few wrong codes, so more guesses need a new password login.
+  async verifyChallengeCode(decoded, user, code) {
+    if (await this.verifyUserCode(user, code)) {
+      await tokenService.revokeToken(decoded);
+      return true;
+    }
+
+    const failures = await incrementKey(`2fa_challenge_fail:${decoded.jti}`, twoFactorChallengeTtl);
+    if (failures >= loginProtection.maxChallengeFailures) {
+      await tokenService.revokeToken(decoded);
+      Logger.warn('Two-factor challenge revoked after wrong codes', { userId: user._id, failures });
+    }
+    return false;
+  }
+
+  // Accept a TOTP code (each time step only once) or consume a recovery code
+  async verifyUserCode(user, code) {
+    const normalized = String(code || '').trim();
+
+    const matchedStep = totp.verifyCode(user.twoFactorSecret, normalized);
+    if (matchedStep !== null) {
+      // Claimed atomically, so parallel requests cannot both use the same step
+      return setKeyIfAbsent(`totp_used:${user._id}:${matchedStep}`, true, totp.STEP_SECONDS * 3);
+    }
+
+    const hashedCode = hashRecoveryCode(normalized);
+    const index = (user.twoFactorRecoveryCodes || []).indexOf(hashedCode);
+    if (index === -1) {
+      return false;
+    }
+
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    await user.save({ validateBeforeSave: false });
+    Logger.info('Two-factor recovery code used', {
+      userId: user._id,
+      remaining: user.twoFactorRecoveryCodes.length
+    });
+    return true;
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,222 @@
+const Upload = require('../models/uploadModel');
+const storageService = require('./storageService');
+const imageProcessingService = require('./imageProcessingService');
+const Logger = require('../utils/logger');
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+const ALLOWED_IMAGE_TYPES = Object.keys(IMAGE_EXTENSIONS);
+
+// Identify the image type from its leading bytes; the client-declared MIME type is not trusted
+const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') {
+    return 'image/webp';
+  }
+  if (['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('ascii'))) {
+    return 'image/gif';
+  }
+
+  return null;
+};
+
+const folderFor = ({ purpose, journey }) => {
+  if (purpose === 'avatar') return 'avatars';
+  return `journeys/${journey}`;
+};
+
+class UploadService {
+  get allowedImageTypes() {
+    return ALLOWED_IMAGE_TYPES;
+  }
+
+  // Validate, process and store one image with its resized variants, recording it
+  // for later cleanup. GPS data is stripped unless context.keepLocation is set.
+  async storeImage(file, context) {
+    const startTime = Date.now();
+    const storedFiles = [];
+
+    try {
+      const mimeType = detectImageType(file.buffer);
+      if (!mimeType) {
+        throw new Error('File content is not a supported image');
+      }
+
+      // Avatars are public everywhere, so they never keep their location
+      const keepLocation = Boolean(context.keepLocation) && context.purpose !== 'avatar';
+
+      let processed;
+      try {
+        processed = await imageProcessingService.processImage(file.buffer, {
+          keepLocation,
+          animated: mimeType === 'image/gif'
+        });
+      } catch (error) {
+        Logger.warn('Image processing failed', { error: error.message });
+        throw new Error('File content is not a supported image');
+      }
+
+      const folder = folderFor(context);
+      const original = await storageService.save({
+        buffer: processed.original.buffer,
+        folder,
+        extension: IMAGE_EXTENSIONS[mimeType],
+        mimeType
+      });
+      storedFiles.push(original);
+
+      const variants = [];
+      for (const variant of processed.variants) {
+        const stored = await storageService.save({
+          buffer: variant.buffer,
+          folder,
+          extension: 'webp',
+          mimeType: 'image/webp'
+        });
+        storedFiles.push(stored);
+        variants.push({
+          name: variant.name,
+          key: stored.key,
+          url: stored.url,
+          width: variant.width,
+          height: variant.height
+        });
+      }
+
+      const upload = await Upload.create({
+        owner: context.owner,
+        purpose: context.purpose,
+        journey: context.journey,
+        destination: context.destination,
+        storage: original.storage,
+        key: original.key,
+        url: original.url,
+        mimeType,
+        size: processed.original.buffer.length,
+        originalName: file.originalname,
+        width: processed.original.width,
+        height: processed.original.height,
+        variants,
+        takenAt: processed.metadata.takenAt || undefined,
+        location: keepLocation && processed.metadata.location ? processed.metadata.location : undefined
+      });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('CREATE', 'uploads', duration);
+
+      return upload;
+
+    } catch (error) {
+      await Promise.all(storedFiles.map(stored => storageService.delete(stored.storage, stored.key)));
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('CREATE', 'uploads', duration, error);
+      throw error;
+    }
+  }
+
+  // Store several images; if one fails, the ones already stored are removed again
+  async storeImages(files, context) {
+    const storedUploads = [];
+
+    try {
+      for (const file of files) {
+        storedUploads.push(await this.storeImage(file, context));
+      }
+      return storedUploads;
+    } catch (error) {
+      await Promise.all(storedUploads.map(upload => this.deleteUpload(upload)));
+      throw error;
+    }
+  }
+
+  findJourneyUpload(journeyId, uploadId) {
+    return Upload.findOne({ _id: uploadId, journey: journeyId });
+  }
+
+  // Cover and photos of a journey in client-facing form, oldest first
+  async getJourneyImages(journeyId) {
+    const startTime = Date.now();
+
+    try {
+      const uploads = await Upload.find({
+        journey: journeyId,
+        purpose: { $in: ['journey_cover', 'journey_photo', 'destination_photo'] }
+      }).sort({ createdAt: 1 }).lean();
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'uploads', duration);
+
+      return uploads.map(upload => this.toPublic(upload));
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'uploads', duration, error);
+      throw error;
+    }
+  }
+
+  // Variant URLs keyed by name, e.g. { thumbnail, medium, large }; storage keys stay internal
+  toPublic(upload) {
+    const variants = {};
+    (upload.variants || []).forEach(variant => {
+      variants[variant.name] = variant.url;
+    });
+
+    return {
+      _id: upload._id,
+      purpose: upload.purpose,
+      destination: upload.destination,
+      url: upload.url,
+      width: upload.width,
+      height: upload.height,
+      takenAt: upload.takenAt,
+      variants
+    };
+  }
+
+  async deleteUpload(upload) {
+    await storageService.delete(upload.storage, upload.key);
+    for (const variant of upload.variants || []) {
+      await storageService.delete(upload.storage, variant.key);
+    }
+    await Upload.deleteOne({ _id: upload._id });
+  }
+
+  // Remove every upload matching the query, e.g. { journey: journeyId }
+  async deleteUploads(query) {
+    const startTime = Date.now();
+
+    try {
+      const matchingUploads = await Upload.find(query);
+
+      for (const upload of matchingUploads) {
+        await this.deleteUpload(upload);
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('DELETE', 'uploads', duration);
+
+      return matchingUploads.length;
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('DELETE', 'uploads', duration, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new UploadService();
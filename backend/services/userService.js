@@ -1,25 +1,55 @@
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/userModel');
-const { jwtSecret } = require('../config/config');
-const { setCache, getCache, deleteCache } = require('../utils/redisClient');
+const Journey = require('../models/journeyModel');
+const tokenService = require('./tokenService');
+const friendService = require('./friendService');
+const blockService = require('./blockService');
+const twoFactorService = require('./twoFactorService');
+const mailService = require('./mailService');
+const sessionService = require('./sessionService');
+const bruteForceService = require('./bruteForceService');
+const uploadService = require('./uploadService');
+const badgeService = require('./badgeService');
+const footprintService = require('./footprintService');
+const profileVisibilityService = require('./profileVisibilityService');
+const invitationService = require('./invitationService');
+const accountService = require('./accountService');
+const {
+  emailVerificationTtl,
+  emailVerificationResendCooldown,
+  passwordResetTtl,
+  frontendUrl
+} = require('../config/config');
+const { setCache, getCache, deleteCache, setKey, getKey } = require('../utils/redisClient');
+const { escapeRegex, encodeCursor, decodeCursor } = require('../utils/searchUtils');
 const Logger = require('../utils/logger');
 
+// Profile fields other users may see; account, security and settings fields stay with the owner
+const VIEWER_PROFILE_FIELDS = [
+  '_id', 'username', 'firstName', 'lastName', 'avatar', 'bio', 'location',
+  'interests', 'stats', 'createdAt'
+];
+
 class UserService {
-  // Generate JWT token
-  generateToken(userId) {
-    return jwt.sign(
-      { userId, type: 'access' },
-      jwtSecret,
-      { expiresIn: '7d' }
-    );
+  // Start a login session and generate its access and refresh tokens
+  async generateTokens(userId, context = {}) {
+    const { sessionId, ...tokens } = await sessionService.createSession(userId, context);
+    return tokens;
   }
 
   // Register new user
-  async registerUser(userData) {
+  async registerUser(userData, context = {}) {
     const startTime = Date.now();
     
     try {
-      const { username, email, password, firstName, lastName } = userData;
+      const { username, email, password, firstName, lastName, invitationCode } = userData;
+
+      await bruteForceService.assertRegistrationAllowed(context.ip);
+
+      if (invitationService.inviteOnly && !invitationCode) {
+        throw new Error('An invitation code is required to register');
+      }
 
       // Check if user already exists
       const existingUser = await User.findOne({
@@ -35,31 +65,50 @@ class UserService {
         }
       }
 
+      // Claimed before the account exists so a code is never redeemed more often than allowed
+      const invitation = invitationCode ? await invitationService.claimInvitation(invitationCode) : null;
+
       // Create new user
       const user = new User({
         username,
         email,
         password,
         firstName,
-        lastName
+        lastName,
+        invitedBy: invitation?.createdBy,
+        invitation: invitation?._id
       });
 
-      await user.save();
+      try {
+        await user.save();
+      } catch (error) {
+        if (invitation) {
+          await invitationService.releaseInvitation(invitation._id);
+        }
+        throw error;
+      }
 
       const duration = Date.now() - startTime;
       Logger.dbOperation('CREATE', 'users', duration);
 
-      // Generate token
-      const token = this.generateToken(user._id);
+      // Generate tokens
+      const tokens = await this.generateTokens(user._id, context);
 
       // Cache user data
       await setCache(`user:${user._id}`, user.getPublicProfile(), 3600);
 
+      // Send verification email (registration succeeds even if delivery fails)
+      try {
+        await this.sendVerificationEmail(user);
+      } catch (error) {
+        Logger.warn('Verification email could not be sent', { userId: user._id, error: error.message });
+      }
+
       return {
         success: true,
         message: 'User registered successfully',
         user: user.getPublicProfile(),
-        token
+        ...tokens
       };
 
     } catch (error) {
@@ -70,30 +119,53 @@ class UserService {
   }
 
   // Login user
-  async loginUser(credentials) {
+  async loginUser(credentials, context = {}) {
     const startTime = Date.now();
     
     try {
       const { email, password } = credentials;
 
+      await bruteForceService.assertLoginAllowed(email, context.ip);
+
       // Find user and include password for comparison
       const user = await User.findOne({ email }).select('+password');
 
       if (!user) {
+        await bruteForceService.recordLoginFailure(email, context.ip);
         throw new Error('Invalid email or password');
       }
 
       // Check password
       const isPasswordValid = await user.comparePassword(password);
       if (!isPasswordValid) {
+        await bruteForceService.recordLoginFailure(email, context.ip);
         throw new Error('Invalid email or password');
       }
 
+      // With two-factor authentication the counters are reset once the code is accepted
+      if (!user.twoFactorEnabled) {
+        await bruteForceService.recordLoginSuccess(email);
+      }
+
+      if (user.isSuspended) {
+        throw new Error('Account is suspended');
+      }
+
       const duration = Date.now() - startTime;
       Logger.dbOperation('READ', 'users', duration);
 
-      // Generate token
-      const token = this.generateToken(user._id);
+      // Second step required: hand out a challenge instead of real tokens
+      if (user.twoFactorEnabled) {
+        return {
+          success: true,
+          message: 'Two-factor authentication required',
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.createLoginChallenge(user._id)
+        };
+      }
+
+      // Generate tokens
+      const tokens = await this.generateTokens(user._id, context);
 
       // Cache user data
       await setCache(`user:${user._id}`, user.getPublicProfile(), 3600);
@@ -102,7 +174,139 @@ class UserService {
         success: true,
         message: 'Login successful',
         user: user.getPublicProfile(),
-        token
+        ...tokens
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Second login step: exchange a 2FA challenge and code for tokens
+  async completeTwoFactorLogin(challengeToken, code, context = {}) {
+    const startTime = Date.now();
+
+    try {
+      await bruteForceService.assertLoginAllowed(null, context.ip);
+
+      const { decoded, user } = await twoFactorService.openLoginChallenge(challengeToken);
+
+      // Wrong codes count against the account as well as the IP, so guesses
+      // spread over several IPs still end in a lockout
+      await bruteForceService.assertLoginAllowed(user.email, context.ip);
+
+      if (!(await twoFactorService.verifyChallengeCode(decoded, user, code))) {
+        await bruteForceService.recordLoginFailure(user.email, context.ip);
+        throw new Error('Invalid two-factor code');
+      }
+
+      await bruteForceService.recordLoginSuccess(user.email);
+
+      if (user.isSuspended) {
+        throw new Error('Account is suspended');
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'users', duration);
+
+      const tokens = await this.generateTokens(user._id, context);
+
+      await setCache(`user:${user._id}`, user.getPublicProfile(), 3600);
+
+      return {
+        success: true,
+        message: 'Login successful',
+        user: user.getPublicProfile(),
+        ...tokens
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Sign in (or sign up) with verified claims from an identity provider
+  async loginWithOidc(providerName, claims, context = {}) {
+    const startTime = Date.now();
+
+    try {
+      if (!claims.sub) {
+        throw new Error('Identity provider did not return a subject');
+      }
+
+      let user = await User.findOne({
+        identities: { $elemMatch: { provider: providerName, subject: claims.sub } }
+      });
+
+      if (!user) {
+        if (!claims.email) {
+          throw new Error('Identity provider did not share an email address');
+        }
+
+        // Provider sign-up has no way to pass a code
+        if (invitationService.inviteOnly) {
+          throw new Error('An invitation code is required to register');
+        }
+
+        const email = claims.email.toLowerCase();
+
+        // Never link automatically: the provider's email claim alone does not prove account ownership
+        const existingUser = await User.findOne({ email });
+        if (existingUser) {
+          throw new Error('An account with this email already exists. Sign in and link the provider from your settings');
+        }
+
+        user = new User({
+          username: await this.generateAvailableUsername(claims.preferred_username || email.split('@')[0]),
+          email,
+          firstName: (claims.given_name || claims.name || 'Traveler').slice(0, 50),
+          lastName: (claims.family_name || providerName).slice(0, 50),
+          avatar: claims.picture || null,
+          isVerified: claims.email_verified === true,
+          identities: [{ provider: providerName, subject: claims.sub, email }]
+        });
+        await user.save();
+
+        Logger.info('User registered through identity provider', {
+          userId: user._id,
+          provider: providerName
+        });
+      }
+
+      if (user.isDeleted) {
+        throw new Error('User not found');
+      }
+
+      if (user.isSuspended) {
+        throw new Error('Account is suspended');
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('READ', 'users', duration);
+
+      // The provider replaces the password step, not the second factor
+      if (user.twoFactorEnabled) {
+        return {
+          success: true,
+          message: 'Two-factor authentication required',
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.createLoginChallenge(user._id)
+        };
+      }
+
+      const tokens = await this.generateTokens(user._id, context);
+
+      await setCache(`user:${user._id}`, user.getPublicProfile(), 3600);
+
+      return {
+        success: true,
+        message: 'Login successful',
+        user: user.getPublicProfile(),
+        ...tokens
       };
 
     } catch (error) {
@@ -112,6 +316,113 @@ class UserService {
     }
   }
 
+  // Attach an external identity to an existing account
+  async linkIdentity(userId, providerName, claims) {
+    const startTime = Date.now();
+
+    try {
+      if (!claims.sub) {
+        throw new Error('Identity provider did not return a subject');
+      }
+
+      const owner = await User.findOne({
+        identities: { $elemMatch: { provider: providerName, subject: claims.sub } }
+      }).select('_id');
+
+      if (owner) {
+        if (owner._id.toString() === userId.toString()) {
+          throw new Error('Identity is already linked to your account');
+        }
+        throw new Error('Identity is already linked to another account');
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.identities.some(identity => identity.provider === providerName)) {
+        throw new Error('A different account from this provider is already linked');
+      }
+
+      user.identities.push({
+        provider: providerName,
+        subject: claims.sub,
+        email: claims.email && claims.email.toLowerCase()
+      });
+      await user.save({ validateBeforeSave: false });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      await setCache(`user:${userId}`, user.getPublicProfile(), 3600);
+
+      return {
+        success: true,
+        message: 'Identity provider linked successfully',
+        identities: user.getPublicProfile().identities
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Detach an external identity; the account must keep at least one way to sign in
+  async unlinkIdentity(userId, providerName) {
+    const startTime = Date.now();
+
+    try {
+      const user = await User.findById(userId).select('+password');
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const remaining = user.identities.filter(identity => identity.provider !== providerName);
+      if (remaining.length === user.identities.length) {
+        throw new Error('Identity provider is not linked');
+      }
+
+      if (!user.password && remaining.length === 0) {
+        throw new Error('Set a password before unlinking your only sign-in method');
+      }
+
+      user.identities = remaining;
+      await user.save({ validateBeforeSave: false });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      await setCache(`user:${userId}`, user.getPublicProfile(), 3600);
+
+      return {
+        success: true,
+        message: 'Identity provider unlinked successfully',
+        identities: user.getPublicProfile().identities
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Derive a unique, schema-valid username from a provider suggestion
+  async generateAvailableUsername(suggestion) {
+    const base = (String(suggestion).replace(/[^a-zA-Z0-9_]/g, '').slice(0, 20) || 'traveler')
+      .padEnd(3, '0');
+
+    let candidate = base;
+    while (await User.exists({ username: candidate })) {
+      candidate = `${base}_${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    return candidate;
+  }
+
   // Get user profile
   async getUserProfile(userId) {
     const startTime = Date.now();
@@ -152,13 +463,30 @@ class UserService {
     
     try {
       const allowedUpdates = [
-        'firstName', 'lastName', 'bio', 'location', 'avatar',
+        'firstName', 'lastName', 'bio', 'location', 'avatar', 'interests',
+        'travelProfile.homeCity',
+        'travelProfile.languages',
+        'travelProfile.travelStyles',
+        'travelProfile.budget',
+        'travelProfile.dietaryNeeds',
+        'travelProfile.accessibilityNeeds',
         'preferences.notifications.email',
         'preferences.notifications.push',
         'preferences.notifications.chat',
-        'preferences.privacy.profileVisibility'
+        'preferences.notifications.digest',
+        'preferences.privacy.profileVisibility',
+        'preferences.privacy.keepPhotoLocation'
       ];
 
+      // A nested travelProfile object updates only the sections it contains
+      if (updateData.travelProfile && typeof updateData.travelProfile === 'object') {
+        const { travelProfile, ...rest } = updateData;
+        updateData = { ...rest };
+        Object.keys(travelProfile).forEach(key => {
+          updateData[`travelProfile.${key}`] = travelProfile[key];
+        });
+      }
+
       // Filter out non-allowed updates
       const filteredUpdates = {};
       Object.keys(updateData).forEach(key => {
@@ -197,28 +525,110 @@ class UserService {
   }
 
   // Search users
-  async searchUsers(query, currentUserId, limit = 20) {
+  // Search users by username or name. Exact and prefix username hits rank above
+  // name matches; results are paginated with an opaque cursor.
+  async searchUsers(query, currentUserId, options = {}) {
     const startTime = Date.now();
-    
+    const { limit = 20, cursor, location, interests = [] } = options;
+
     try {
-      const searchRegex = new RegExp(query, 'i');
-      
-      const users = await User.find({
-        _id: { $ne: currentUserId }, // Exclude current user
-        $or: [
-          { username: searchRegex },
-          { firstName: searchRegex },
-          { lastName: searchRegex }
-        ],
-        'preferences.privacy.profileVisibility': { $in: ['public', 'friends'] }
-      })
-      .select('username firstName lastName avatar bio location stats')
-      .limit(limit);
+      const escapedQuery = escapeRegex(query);
+      const friendIds = await friendService.getFriendIds(currentUserId);
+      const hiddenUserIds = await blockService.getHiddenUserIds(currentUserId);
+      const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+      const filters = [
+        {
+          // Friends-only profiles are only discoverable by friends
+          $or: [
+            { 'preferences.privacy.profileVisibility': 'public' },
+            { 'preferences.privacy.profileVisibility': 'friends', _id: { $in: friendIds.map(toObjectId) } }
+          ]
+        }
+      ];
+      if (location) {
+        filters.push({ location: { $regex: escapeRegex(location), $options: 'i' } });
+      }
+      if (interests.length > 0) {
+        filters.push({ interests: { $in: interests } });
+      }
+
+      const pipeline = [
+        {
+          $match: {
+            _id: { $nin: [currentUserId, ...hiddenUserIds].map(toObjectId) }, // Exclude current and blocked users
+            isDeleted: { $ne: true },
+            $and: filters
+          }
+        },
+        {
+          $addFields: {
+            searchRank: {
+              $switch: {
+                branches: [
+                  { case: { $eq: [{ $toLower: '$username' }, query.toLowerCase()] }, then: 4 },
+                  { case: { $regexMatch: { input: '$username', regex: `^${escapedQuery}`, options: 'i' } }, then: 3 },
+                  {
+                    // Word prefix in the full name, so "ada lov" finds Ada Lovelace
+                    case: {
+                      $regexMatch: {
+                        input: { $concat: ['$firstName', ' ', '$lastName'] },
+                        regex: `(^|\\s)${escapedQuery}`,
+                        options: 'i'
+                      }
+                    },
+                    then: 2
+                  },
+                  { case: { $regexMatch: { input: '$username', regex: escapedQuery, options: 'i' } }, then: 1 }
+                ],
+                default: 0
+              }
+            }
+          }
+        },
+        { $match: { searchRank: { $gt: 0 } } }
+      ];
+
+      if (cursor) {
+        const position = decodeCursor(cursor);
+        if (!Number.isInteger(position.rank) || typeof position.username !== 'string') {
+          throw new Error('Invalid cursor');
+        }
+        // Usernames are unique, so (rank, username) is a total order
+        pipeline.push({
+          $match: {
+            $or: [
+              { searchRank: { $lt: position.rank } },
+              { searchRank: position.rank, username: { $gt: position.username } }
+            ]
+          }
+        });
+      }
+
+      pipeline.push(
+        { $sort: { searchRank: -1, username: 1 } },
+        { $limit: limit + 1 },
+        { $project: { username: 1, firstName: 1, lastName: 1, avatar: 1, bio: 1, location: 1, interests: 1, stats: 1, searchRank: 1 } }
+      );
+
+      const matches = await User.aggregate(pipeline);
+      const hasNext = matches.length > limit;
+      const users = matches.slice(0, limit);
+
+      const signals = await this.getSearchSignals(currentUserId, friendIds, users.map(user => user._id));
 
       const duration = Date.now() - startTime;
       Logger.dbOperation('READ', 'users', duration);
 
-      return users;
+      const last = users[users.length - 1];
+
+      return {
+        users: users.map(({ searchRank, ...user }) => ({
+          ...user,
+          ...signals.get(user._id.toString())
+        })),
+        nextCursor: hasNext ? encodeCursor({ rank: last.searchRank, username: last.username }) : null
+      };
 
     } catch (error) {
       const duration = Date.now() - startTime;
@@ -227,6 +637,192 @@ class UserService {
     }
   }
 
+  // Friendship, mutual-friend and shared-journey signals for search results
+  async getSearchSignals(currentUserId, friendIds, userIds) {
+    const signals = new Map();
+    if (userIds.length === 0) return signals;
+
+    const sharedJourneys = await Journey.aggregate([
+      {
+        $match: {
+          $and: [
+            { $or: [{ creator: new mongoose.Types.ObjectId(currentUserId) }, { 'collaborators.user': new mongoose.Types.ObjectId(currentUserId) }] },
+            { $or: [{ creator: { $in: userIds } }, { 'collaborators.user': { $in: userIds } }] }
+          ]
+        }
+      },
+      { $project: { participants: { $setUnion: [['$creator'], '$collaborators.user'] } } },
+      { $unwind: '$participants' },
+      { $match: { participants: { $in: userIds } } },
+      { $group: { _id: '$participants', count: { $sum: 1 } } }
+    ]);
+    const sharedCounts = new Map(sharedJourneys.map(entry => [entry._id.toString(), entry.count]));
+    const mutualCounts = await friendService.countMutualFriends(friendIds, userIds);
+    const friendSet = new Set(friendIds);
+
+    for (const userId of userIds) {
+      const id = userId.toString();
+      signals.set(id, {
+        isFriend: friendSet.has(id),
+        mutualFriends: mutualCounts.get(id) || 0,
+        sharedJourneys: sharedCounts.get(id) || 0
+      });
+    }
+
+    return signals;
+  }
+
+  // userId's profile as viewerId may see it: the full profile, a limited card
+  // (see profileVisibilityService) or 'Access denied to this profile'
+  async getProfileForViewer(userId, viewerId) {
+    const userProfile = await this.getUserProfile(userId);
+    const access = await profileVisibilityService.getAccess(userProfile, viewerId);
+
+    if (access === 'denied') {
+      throw new Error('Access denied to this profile');
+    }
+
+    if (access === 'limited') {
+      return { access, profile: profileVisibilityService.toCard(userProfile) };
+    }
+
+    if (viewerId && userProfile._id.toString() === viewerId.toString()) {
+      return { access, profile: { ...userProfile, badges: badgeService.describeBadges(userProfile.badges) } };
+    }
+
+    return { access, profile: this.toViewerProfile(userProfile) };
+  }
+
+  // For anything beyond the card (friends, stats, badges, footprint) the viewer
+  // needs full access; returns the profile when allowed
+  async assertCanViewProfile(userId, viewerId) {
+    const { access, profile } = await this.getProfileForViewer(userId, viewerId);
+
+    if (access !== 'full') {
+      throw new Error('Access denied to this profile');
+    }
+
+    return profile;
+  }
+
+  // Profile as seen by another user: only the public fields listed here, with
+  // badge details and where someone is from and how they travel, but not their
+  // exact home position, budget or dietary/accessibility needs
+  toViewerProfile(userProfile) {
+    const profile = VIEWER_PROFILE_FIELDS.reduce((fields, key) => {
+      if (userProfile[key] !== undefined) fields[key] = userProfile[key];
+      return fields;
+    }, {});
+    profile.badges = badgeService.describeBadges(userProfile.badges);
+
+    if (userProfile.travelProfile) {
+      const { homeCity, languages, travelStyles } = userProfile.travelProfile;
+      profile.travelProfile = {
+        homeCity: homeCity ? { name: homeCity.name, country: homeCity.country } : undefined,
+        languages,
+        travelStyles
+      };
+    }
+
+    return profile;
+  }
+
+  // Badges awarded to a user, visible to anyone who may view the profile
+  async getUserBadges(userId, viewerId) {
+    const userProfile = await this.assertCanViewProfile(userId, viewerId);
+    return userProfile.badges;
+  }
+
+  // Places visited on completed journeys, limited to journeys the viewer may see
+  async getUserFootprint(userId, viewerId) {
+    await this.assertCanViewProfile(userId, viewerId);
+    return footprintService.getFootprint(userId, viewerId);
+  }
+
+  // Travel profile fields used to personalize AI suggestions
+  async getTravelerProfile(userId) {
+    const userProfile = await this.getUserProfile(userId);
+    const travelProfile = userProfile.travelProfile || {};
+
+    return {
+      interests: userProfile.interests || [],
+      homeCity: travelProfile.homeCity,
+      languages: travelProfile.languages || [],
+      travelStyles: travelProfile.travelStyles || [],
+      budget: travelProfile.budget,
+      dietaryNeeds: travelProfile.dietaryNeeds || [],
+      accessibilityNeeds: travelProfile.accessibilityNeeds || []
+    };
+  }
+
+  // Replace the avatar with an uploaded image
+  async updateAvatar(userId, file) {
+    const startTime = Date.now();
+
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const upload = await uploadService.storeImage(file, { owner: userId, purpose: 'avatar' });
+
+      user.avatar = upload.url;
+      await user.save({ validateBeforeSave: false });
+
+      // Only the current avatar is kept in storage
+      await uploadService.deleteUploads({ owner: userId, purpose: 'avatar', _id: { $ne: upload._id } });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      await setCache(`user:${userId}`, user.getPublicProfile(), 3600);
+
+      return {
+        success: true,
+        message: 'Avatar updated successfully',
+        avatar: user.avatar,
+        image: uploadService.toPublic(upload)
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  async removeAvatar(userId) {
+    const startTime = Date.now();
+
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      user.avatar = null;
+      await user.save({ validateBeforeSave: false });
+
+      await uploadService.deleteUploads({ owner: userId, purpose: 'avatar' });
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      await setCache(`user:${userId}`, user.getPublicProfile(), 3600);
+
+      return {
+        success: true,
+        message: 'Avatar removed successfully'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
   // Get user stats
   async getUserStats(userId) {
     const startTime = Date.now();
@@ -282,7 +878,7 @@ class UserService {
   // Verify token
   async verifyToken(token) {
     try {
-      const decoded = jwt.verify(token, jwtSecret);
+      const decoded = await tokenService.verifyAccessToken(token);
       const user = await this.getUserProfile(decoded.userId);
       return { valid: true, user };
     } catch (error) {
@@ -290,19 +886,289 @@ class UserService {
     }
   }
 
-  // Get multiple users by IDs
-  async getUsersByIds(userIds) {
+  // Send an email containing a signed verification link
+  async sendVerificationEmail(user) {
+    const verificationToken = tokenService.signToken(
+      user._id,
+      'email_verification',
+      emailVerificationTtl,
+      { email: user.email }
+    );
+    const verificationUrl = `${frontendUrl}/verify-email?token=${encodeURIComponent(verificationToken)}`;
+
+    await mailService.sendMail({
+      to: user.email,
+      subject: 'Verify your Travel Platform account',
+      text: `Hi ${user.firstName},\n\nPlease verify your email address by opening this link:\n${verificationUrl}\n\nThe link expires in ${Math.round(emailVerificationTtl / 3600)} hours.`,
+      html: `<p>Hi ${mailService.escapeHtml(user.firstName)},</p><p>Please verify your email address by clicking <a href="${verificationUrl}">this link</a>.</p><p>The link expires in ${Math.round(emailVerificationTtl / 3600)} hours.</p>`
+    });
+
+    await setKey(`email_verification_sent:${user._id}`, Date.now(), emailVerificationResendCooldown);
+  }
+
+  // Verify email address from a signed verification token
+  async verifyEmail(verificationToken) {
+    const startTime = Date.now();
+
+    try {
+      let decoded;
+      try {
+        decoded = tokenService.verifyPurposeToken(verificationToken, 'email_verification');
+      } catch (error) {
+        throw new Error('Invalid or expired verification token');
+      }
+
+      const user = await User.findById(decoded.userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      // The token is bound to the address it was sent to
+      if (user.email !== decoded.email) {
+        throw new Error('Invalid or expired verification token');
+      }
+
+      if (!user.isVerified) {
+        user.isVerified = true;
+        await user.save();
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      await setCache(`user:${user._id}`, user.getPublicProfile(), 3600);
+
+      return {
+        success: true,
+        message: 'Email verified successfully',
+        user: user.getPublicProfile()
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Resend verification email, throttled per user
+  async resendVerificationEmail(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.isVerified) {
+      throw new Error('Email is already verified');
+    }
+
+    const lastSentAt = await getKey(`email_verification_sent:${userId}`);
+    if (lastSentAt) {
+      const error = new Error('Verification email was sent recently, please try again later');
+      error.retryAfter = Math.max(
+        1,
+        Math.ceil((lastSentAt + emailVerificationResendCooldown * 1000 - Date.now()) / 1000)
+      );
+      throw error;
+    }
+
+    await this.sendVerificationEmail(user);
+
+    return {
+      success: true,
+      message: 'Verification email sent'
+    };
+  }
+
+  // Start password recovery by emailing a single-use reset link
+  async requestPasswordReset(email, context = {}) {
+    const startTime = Date.now();
+
+    try {
+      await bruteForceService.assertPasswordResetAllowed(email, context.ip);
+
+      const user = await User.findOne({ email: String(email).toLowerCase() });
+
+      // Respond the same way whether or not the account exists
+      if (user) {
+        const resetToken = user.createPasswordResetToken(passwordResetTtl);
+        await user.save({ validateBeforeSave: false });
+
+        const resetUrl = `${frontendUrl}/reset-password?token=${resetToken}`;
+
+        try {
+          await mailService.sendMail({
+            to: user.email,
+            subject: 'Reset your Travel Platform password',
+            text: `Hi ${user.firstName},\n\nYou can reset your password by opening this link:\n${resetUrl}\n\nThe link expires in ${Math.round(passwordResetTtl / 60)} minutes. If you did not request a reset, you can ignore this email.`,
+            html: `<p>Hi ${mailService.escapeHtml(user.firstName)},</p><p>You can reset your password by clicking <a href="${resetUrl}">this link</a>.</p><p>The link expires in ${Math.round(passwordResetTtl / 60)} minutes. If you did not request a reset, you can ignore this email.</p>`
+          });
+        } catch (error) {
+          // Failing the request here would tell registered emails apart from unknown ones
+          Logger.error('Password reset email could not be sent', { userId: user._id, error: error.message });
+          user.passwordResetToken = undefined;
+          user.passwordResetExpires = undefined;
+          await user.save({ validateBeforeSave: false });
+        }
+      }
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      return {
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Complete password recovery with a reset token
+  async resetPassword(resetToken, newPassword) {
+    const startTime = Date.now();
+
+    try {
+      const hashedToken = crypto.createHash('sha256').update(String(resetToken)).digest('hex');
+
+      const user = await User.findOne({
+        passwordResetToken: hashedToken,
+        passwordResetExpires: { $gt: new Date() }
+      });
+
+      if (!user) {
+        throw new Error('Invalid or expired password reset token');
+      }
+
+      // Hashed by the pre('save') hook; clearing the token makes it single-use
+      user.password = newPassword;
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      // Sign out every existing session
+      await tokenService.revokeAllForUser(user._id);
+      await deleteCache(`user:${user._id}`);
+
+      return {
+        success: true,
+        message: 'Password has been reset successfully. Please log in with your new password'
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Change password for an authenticated user
+  // Password-less accounts set a first password here after re-authenticating
+  // with a two-factor code or a recent sign-in (`reauth` is { code, sessionId })
+  async changePassword(userId, currentPassword, newPassword, context = {}, reauth = {}) {
+    const startTime = Date.now();
+
+    try {
+      const user = await accountService.findUserForReauth(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (!(await accountService.verifyIdentity(user, { password: currentPassword, ...reauth }))) {
+        throw new Error(user.password ? 'Current password is incorrect' : 'Please sign in again to confirm this change');
+      }
+
+      user.password = newPassword;
+      await user.save();
+
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration);
+
+      // Invalidate existing sessions and keep the current client signed in
+      await tokenService.revokeAllForUser(user._id);
+      await deleteCache(`user:${user._id}`);
+
+      return {
+        success: true,
+        message: 'Password changed successfully',
+        ...(await this.generateTokens(user._id, context))
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      Logger.dbOperation('UPDATE', 'users', duration, error);
+      throw error;
+    }
+  }
+
+  // Exchange a refresh token for a new access/refresh token pair
+  async refreshTokens(refreshToken) {
+    const result = await tokenService.rotateRefreshToken(refreshToken);
+
+    // Make sure the account still exists before handing out new tokens
+    const user = await User.findById(result.userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.isSuspended) {
+      throw new Error('Account is suspended');
+    }
+
+    await sessionService.touchSession(result.sessionId, { extend: true });
+
+    return {
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    };
+  }
+
+  // Logout: end the current session and revoke the supplied tokens
+  async logoutUser(accessTokenPayload, refreshToken) {
+    if (accessTokenPayload) {
+      await tokenService.revokeToken(accessTokenPayload);
+    }
+    if (accessTokenPayload && accessTokenPayload.sid) {
+      try {
+        await sessionService.revokeSession(accessTokenPayload.userId, accessTokenPayload.sid);
+      } catch (error) {
+        // Already revoked or expired
+        if (error.message !== 'Session not found') throw error;
+      }
+    }
+    if (refreshToken) {
+      await tokenService.revokeRefreshToken(refreshToken);
+    }
+
+    return {
+      success: true,
+      message: 'Logged out successfully'
+    };
+  }
+
+  // Get multiple users by IDs, as the viewer may see them
+  async getUsersByIds(userIds, viewerId = null) {
     const startTime = Date.now();
     
     try {
       const users = await User.find({
         _id: { $in: userIds }
-      }).select('username firstName lastName avatar');
+      })
+        .select('username firstName lastName avatar preferences.privacy.profileVisibility')
+        .lean();
 
       const duration = Date.now() - startTime;
       Logger.dbOperation('READ', 'users', duration);
 
-      return users;
+      return profileVisibilityService.applyToUsers(users, viewerId);
 
     } catch (error) {
       const duration = Date.now() - startTime;
@@ -1,7 +1,8 @@
 const socketIO = require('socket.io');
-const jwt = require('jsonwebtoken');
-const { jwtSecret } = require('../config/config');
 const chatService = require('../services/chatService');
+const tokenService = require('../services/tokenService');
+const userService = require('../services/userService');
+const notificationService = require('../services/notificationService');
 const { subscribeToChannel } = require('../utils/redisClient');
 const Logger = require('../utils/logger');
 
@@ -30,8 +31,16 @@ class ChatSocket {
           return next(new Error('Authentication token required'));
         }
 
-        const decoded = jwt.verify(token, jwtSecret);
+        const decoded = await tokenService.verifyAccessToken(token);
+
+        const user = await userService.getUserProfile(decoded.userId);
+        if (user.isSuspended) {
+          Logger.warn('Suspended user socket connection rejected', { userId: decoded.userId });
+          return next(new Error('Account is suspended'));
+        }
+
         socket.userId = decoded.userId;
+        socket.sessionId = decoded.sid;
         socket.user = decoded;
         
         Logger.debug('Socket authenticated', { userId: decoded.userId, socketId: socket.id });
@@ -49,6 +58,14 @@ class ChatSocket {
     // Subscribe to Redis channels for scaling
     this.setupRedisSubscriptions();
 
+    // Drop connections whose session or account tokens were revoked
+    tokenService.onRevoked((payload) => this.disconnectRevokedSockets(payload))
+      .catch(error => Logger.error('Failed to subscribe to token revocations', { error: error.message }));
+
+    // Live delivery of stored notifications, whichever instance recorded them
+    notificationService.onNotification(({ userId, notification }) => this.sendNotificationToUser(userId, notification))
+      .catch(error => Logger.error('Failed to subscribe to notifications', { error: error.message }));
+
     Logger.success('Socket.IO chat server initialized');
     return this.io;
   }
@@ -64,6 +81,10 @@ class ChatSocket {
     // Join user to their personal room for direct notifications
     socket.join(`user_${userId}`);
 
+    notificationService.getUnreadCount(userId)
+      .then(unreadCount => socket.emit('notification_count', { unreadCount }))
+      .catch(error => Logger.error('Failed to send unread notification count', { userId, error: error.message }));
+
     // Handle joining chat rooms
     socket.on('join_room', async (data) => {
       try {
@@ -80,7 +101,7 @@ class ChatSocket {
         Logger.socketEvent('room_joined', { userId, roomId, roomType });
 
         // Send recent chat history
-        const history = await chatService.getChatHistory(roomId, 1, 20);
+        const history = await chatService.getChatHistory(roomId, 1, 20, userId);
         socket.emit('chat_history', history);
 
         // Notify others in the room
@@ -161,6 +182,10 @@ class ChatSocket {
 
       } catch (error) {
         Logger.error('Error sending message', { userId, error: error.message });
+        if (error.message === 'You cannot message this user') {
+          socket.emit('error', { message: error.message });
+          return;
+        }
         socket.emit('error', { message: 'Failed to send message' });
       }
     });
@@ -319,6 +344,18 @@ class ChatSocket {
     }
   }
 
+  // Disconnect the sockets of a revoked session, or all of a user's sockets
+  disconnectRevokedSockets({ userId, sessionId }) {
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (socket.userId !== userId) continue;
+      if (sessionId && socket.sessionId !== sessionId) continue;
+
+      socket.emit('session_revoked', { sessionId: socket.sessionId });
+      socket.disconnect(true);
+      Logger.socketEvent('session_revoked', { userId, sessionId: socket.sessionId, socketId: socket.id });
+    }
+  }
+
   // Validate if user can access a chat room
   async validateRoomAccess(userId, roomId, roomType) {
     try {
@@ -373,12 +410,10 @@ class ChatSocket {
     };
   }
 
-  // Send notification to specific user
+  // Send notification to every socket of a user; the room is empty when they are offline
   sendNotificationToUser(userId, notification) {
-    const socketId = this.connectedUsers.get(userId);
-    if (socketId) {
-      this.io.to(`user_${userId}`).emit('notification', notification);
-    }
+    if (!this.io) return;
+    this.io.to(`user_${userId}`).emit('notification', notification);
   }
 
   // Get online users in a room
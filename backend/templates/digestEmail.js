@@ -0,0 +1,87 @@
+const mailService = require('../services/mailService');
+
+const escapeHtml = (value) => mailService.escapeHtml(value);
+
+const NOTIFICATION_LABELS = {
+  journey_liked: 'liked your journey',
+  journey_commented: 'commented on your journey',
+  collaborator_added: 'added you as a collaborator',
+  qa_question: 'asked you a question',
+  mention: 'mentioned you'
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const describeNotification = (notification) => {
+  const actor = notification.actor?.username || 'Someone';
+  const label = NOTIFICATION_LABELS[notification.type] || 'sent you a notification';
+  const subject = notification.journey?.title ? ` "${notification.journey.title}"` : '';
+  return `${actor} ${label}${subject}`;
+};
+
+// Plain-text and HTML versions of the activity digest, built from
+// digestService.buildDigest output plus the recipient and links
+const renderDigestEmail = ({ user, frequency, notifications, journeys, chats, links }) => {
+  const period = frequency === 'daily' ? 'today' : 'this week';
+  const subject = `Your Travel Platform activity ${period}`;
+
+  const text = [];
+  const html = [];
+
+  text.push(`Hi ${user.firstName},`, '', `Here is what happened ${period}.`, '');
+  html.push(
+    `<p>Hi ${escapeHtml(user.firstName)},</p>`,
+    `<p>Here is what happened ${period}.</p>`
+  );
+
+  if (notifications.total > 0) {
+    text.push(`Unread notifications (${notifications.total}):`);
+    html.push(`<h3>Unread notifications (${notifications.total})</h3><ul>`);
+    notifications.latest.forEach(notification => {
+      text.push(`- ${describeNotification(notification)}`);
+      html.push(`<li>${escapeHtml(describeNotification(notification))}</li>`);
+    });
+    html.push('</ul>');
+    text.push('');
+  }
+
+  if (journeys.length > 0) {
+    text.push('Activity on your journeys:');
+    html.push('<h3>Activity on your journeys</h3><ul>');
+    journeys.forEach(journey => {
+      const summary = `${plural(journey.newComments, 'new comment')}, ${plural(journey.newLikes, 'new like')}`;
+      text.push(`- ${journey.title}: ${summary}`);
+      html.push(`<li><a href="${links.journey(journey._id)}">${escapeHtml(journey.title)}</a>: ${summary}</li>`);
+    });
+    html.push('</ul>');
+    text.push('');
+  }
+
+  if (chats.totalUnread > 0) {
+    const summary = `You have ${plural(chats.totalUnread, 'unread message')} in ${plural(chats.rooms, 'chat')}.`;
+    text.push(summary, '');
+    html.push(`<p>${summary}</p>`);
+  }
+
+  text.push(
+    `Open Travel Platform: ${links.app}`,
+    '',
+    `Manage email settings: ${links.preferences}`,
+    `Unsubscribe from these emails: ${links.unsubscribe}`
+  );
+  html.push(
+    `<p><a href="${links.app}">Open Travel Platform</a></p>`,
+    `<p style="font-size:12px;color:#666">You receive this ${frequency} digest because it is enabled in your ` +
+      `<a href="${links.preferences}">email settings</a>. <a href="${links.unsubscribe}">Unsubscribe</a></p>`
+  );
+
+  return {
+    subject,
+    text: text.join('\n'),
+    html: html.join('\n')
+  };
+};
+
+module.exports = {
+  renderDigestEmail
+};
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_MERCATOR_LATITUDE,
+  parseBoundingBox,
+  isInBoundingBox,
+  boundingBoxCenter,
+  lngToTileX,
+  latToTileY,
+  tileBounds,
+  tilesForBoundingBox
+} = require('../utils/geoUtils');
+
+const columnsOf = (tiles) => [...new Set(tiles.map(tile => tile.x))];
+const rowsOf = (tiles) => [...new Set(tiles.map(tile => tile.y))];
+
+test('points map to the standard XYZ tiles', () => {
+  // Paris and Sydney at zoom 10, as served by OpenStreetMap
+  assert.deepEqual([lngToTileX(2.3522, 10), latToTileY(48.8566, 10)], [518, 352]);
+  assert.deepEqual([lngToTileX(151.2093, 10), latToTileY(-33.8688, 10)], [942, 614]);
+
+  assert.equal(lngToTileX(-180, 3), 0);
+  assert.equal(lngToTileX(180, 3), 7);
+  assert.equal(latToTileY(90, 3), 0);
+  assert.equal(latToTileY(-90, 3), 7);
+  assert.equal(latToTileY(0, 0), 0);
+});
+
+test('tile bounds contain the points that map to the tile', () => {
+  for (const [latitude, longitude] of [[48.8566, 2.3522], [-33.8688, 151.2093], [64.1466, -21.9426], [0.1, -0.1]]) {
+    for (const zoom of [0, 4, 12]) {
+      const bounds = tileBounds(lngToTileX(longitude, zoom), latToTileY(latitude, zoom), zoom);
+      assert.ok(isInBoundingBox({ latitude, longitude }, bounds), `${latitude},${longitude} at zoom ${zoom}`);
+    }
+  }
+});
+
+test('tile bounds cover the whole Mercator world at zoom 0', () => {
+  const bounds = tileBounds(0, 0, 0);
+
+  assert.equal(bounds.minLng, -180);
+  assert.equal(bounds.maxLng, 180);
+  assert.ok(Math.abs(bounds.maxLat - MAX_MERCATOR_LATITUDE) < 1e-6);
+  assert.ok(Math.abs(bounds.minLat + MAX_MERCATOR_LATITUDE) < 1e-6);
+});
+
+test('a bounding box is covered by its tiles', () => {
+  const tiles = tilesForBoundingBox({ minLng: -10, minLat: 35, maxLng: 50, maxLat: 60 }, 3);
+
+  assert.deepEqual(columnsOf(tiles), [3, 4, 5]);
+  assert.deepEqual(rowsOf(tiles), [2, 3]);
+  assert.equal(tiles.length, 6);
+});
+
+test('a bounding box across the antimeridian takes the columns on both sides', () => {
+  const tiles = tilesForBoundingBox({ minLng: 170, minLat: -20, maxLng: -170, maxLat: -10 }, 2);
+
+  assert.deepEqual(columnsOf(tiles), [3, 0]);
+  assert.deepEqual(rowsOf(tiles), [2]);
+});
+
+test('a box across the antimeridian with both edges in one column wraps the world', () => {
+  const tiles = tilesForBoundingBox({ minLng: 100, minLat: 0, maxLng: 95, maxLat: 10 }, 2);
+  assert.deepEqual(columnsOf(tiles), [3, 0, 1, 2]);
+
+  const world = tilesForBoundingBox({ minLng: 10, minLat: 0, maxLng: 5, maxLat: 10 }, 0);
+  assert.deepEqual(columnsOf(world), [0]);
+});
+
+test('a box inside a single tile returns just that tile', () => {
+  const tiles = tilesForBoundingBox({ minLng: 2.2, minLat: 48.8, maxLng: 2.4, maxLat: 48.9 }, 10);
+  assert.deepEqual(tiles, [{ x: 518, y: 352 }]);
+});
+
+test('boxes beyond the Mercator limit stop at the edge rows', () => {
+  const tiles = tilesForBoundingBox({ minLng: -180, minLat: -90, maxLng: 180, maxLat: 90 }, 1);
+
+  assert.deepEqual(columnsOf(tiles), [0, 1]);
+  assert.deepEqual(rowsOf(tiles), [0, 1]);
+});
+
+test('bounding boxes are parsed in GeoJSON order and validated', () => {
+  assert.deepEqual(parseBoundingBox('-10, 35, 30, 60'), { minLng: -10, minLat: 35, maxLng: 30, maxLat: 60 });
+  assert.deepEqual(parseBoundingBox('170,-20,-170,-10'), { minLng: 170, minLat: -20, maxLng: -170, maxLat: -10 });
+
+  for (const value of ['1,2,3', '1,2,3,4,5', 'a,b,c,d', '0,10,20,5', '0,0,0,10', '0,-91,10,10', '-181,0,10,10', undefined, ['0', '0', '1', '1']]) {
+    assert.equal(parseBoundingBox(value), null, String(value));
+  }
+});
+
+test('points and centres respect boxes across the antimeridian', () => {
+  const bbox = { minLng: 170, minLat: -20, maxLng: -170, maxLat: -10 };
+
+  assert.ok(isInBoundingBox({ latitude: -15, longitude: 179 }, bbox));
+  assert.ok(isInBoundingBox({ latitude: -15, longitude: -175 }, bbox));
+  assert.ok(!isInBoundingBox({ latitude: -15, longitude: 0 }, bbox));
+  assert.ok(!isInBoundingBox({ latitude: 5, longitude: 179 }, bbox));
+  assert.deepEqual(boundingBoxCenter(bbox), { latitude: -15, longitude: 180 });
+  assert.deepEqual(boundingBoxCenter({ minLng: 160, minLat: 0, maxLng: -140, maxLat: 10 }), { latitude: 5, longitude: -170 });
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const imageProcessingService = require('../services/imageProcessingService');
+
+// A landscape JPEG stored sideways (EXIF orientation 6) with a camera model and a
+// GPS position; the western longitude checks the hemisphere sign
+const createGeotaggedPhoto = () =>
+  sharp({ create: { width: 64, height: 48, channels: 3, background: '#3366aa' } })
+    .jpeg()
+    .withMetadata({ orientation: 6 })
+    .withExif({
+      IFD0: { Make: 'TestCam', Model: 'Traveller 1' },
+      IFD3: {
+        GPSLatitudeRef: 'N',
+        GPSLatitude: '48/1 51/1 2964/100',
+        GPSLongitudeRef: 'W',
+        GPSLongitude: '2/1 17/1 4020/100'
+      }
+    })
+    .toBuffer();
+
+test('GPS position is read from EXIF in decimal degrees', async () => {
+  const { exif } = await sharp(await createGeotaggedPhoto()).metadata();
+  const { location } = imageProcessingService.readExifMetadata(exif);
+
+  assert.ok(Math.abs(location.latitude - 48.8582) < 1e-4);
+  assert.ok(Math.abs(location.longitude - -2.2945) < 1e-4);
+});
+
+test('missing or unreadable EXIF yields no metadata', () => {
+  assert.deepEqual(imageProcessingService.readExifMetadata(undefined), { takenAt: null, location: null });
+  assert.deepEqual(imageProcessingService.readExifMetadata(Buffer.from('garbage')), { takenAt: null, location: null });
+});
+
+test('processed images carry no EXIF unless the location is kept', async () => {
+  const photo = await createGeotaggedPhoto();
+
+  const stripped = await imageProcessingService.processImage(photo);
+  const strippedMetadata = await sharp(stripped.original.buffer).metadata();
+  assert.equal(strippedMetadata.exif, undefined);
+  assert.ok(stripped.metadata.location, 'the position is still reported so the caller can decide');
+
+  for (const variant of stripped.variants) {
+    assert.equal((await sharp(variant.buffer).metadata()).exif, undefined);
+  }
+
+  const kept = await imageProcessingService.processImage(photo, { keepLocation: true });
+  const { exif } = await sharp(kept.original.buffer).metadata();
+  assert.ok(imageProcessingService.readExifMetadata(exif).location);
+});
+
+test('EXIF orientation is applied before metadata is stripped', async () => {
+  const processed = await imageProcessingService.processImage(await createGeotaggedPhoto());
+
+  assert.equal(processed.original.width, 48);
+  assert.equal(processed.original.height, 64);
+  const { orientation } = await sharp(processed.original.buffer).metadata();
+  assert.ok(orientation === undefined || orientation === 1);
+});
+
+test('variants are WebP and never enlarged', async () => {
+  const processed = await imageProcessingService.processImage(await createGeotaggedPhoto());
+
+  assert.deepEqual(processed.variants.map(variant => variant.name), imageProcessingService.variantNames);
+  for (const variant of processed.variants) {
+    assert.equal((await sharp(variant.buffer).metadata()).format, 'webp');
+    assert.ok(variant.width <= 48 && variant.height <= 64);
+  }
+});
@@ -0,0 +1,188 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const oidcService = require('../services/oidcService');
+
+const provider = {
+  name: 'testidp',
+  issuer: 'https://idp.example.com',
+  clientId: 'travel-app',
+  clientSecret: 'client-secret',
+  scopes: 'openid email profile'
+};
+
+const metadata = {
+  issuer: provider.issuer,
+  authorization_endpoint: `${provider.issuer}/authorize`,
+  token_endpoint: `${provider.issuer}/token`,
+  jwks_uri: `${provider.issuer}/jwks`
+};
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const signIdToken = (claims, options = {}) => {
+  const algorithm = options.algorithm || 'RS256';
+  return jwt.sign(
+    { sub: 'idp-user-1', email: 'traveller@example.com', ...claims },
+    options.key || privateKey,
+    {
+      algorithm,
+      ...(algorithm === 'HS256' ? {} : { keyid: 'key-1' }),
+      issuer: options.issuer || provider.issuer,
+      audience: options.audience || provider.clientId,
+      expiresIn: 300
+    }
+  );
+};
+
+// Start a login and return what the browser and the provider would see
+const startLogin = async (context) => {
+  const request = await oidcService.createAuthorizationRequest(provider.name, context);
+  const params = new URL(request.authorizationUrl).searchParams;
+  return { ...request, params };
+};
+
+let exchangedVerifiers;
+
+beforeEach(() => {
+  exchangedVerifiers = [];
+  mock.method(oidcService, 'getProvider', () => provider);
+  mock.method(oidcService, 'discover', async () => metadata);
+  oidcService.jwksCache.set(metadata.jwks_uri, {
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }],
+    fetchedAt: Date.now()
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+const answerCodeExchangeWith = (buildIdToken) => {
+  mock.method(oidcService, 'exchangeCode', async (p, m, code, codeVerifier) => {
+    exchangedVerifiers.push(codeVerifier);
+    return { id_token: buildIdToken() };
+  });
+};
+
+test('authorization requests use PKCE S256 with a fresh state and nonce', async () => {
+  const first = await startLogin();
+  const second = await startLogin();
+
+  assert.equal(first.params.get('code_challenge_method'), 'S256');
+  assert.equal(first.params.get('client_id'), provider.clientId);
+  assert.equal(first.params.get('state'), first.state);
+  assert.notEqual(first.state, second.state);
+  assert.notEqual(first.params.get('nonce'), second.params.get('nonce'));
+  assert.notEqual(first.browserBinding, second.browserBinding);
+
+  answerCodeExchangeWith(() => signIdToken({ nonce: first.params.get('nonce') }));
+  await oidcService.handleCallback(provider.name, {
+    code: 'auth-code',
+    state: first.state,
+    browserBinding: first.browserBinding
+  });
+
+  const expectedChallenge = crypto.createHash('sha256').update(exchangedVerifiers[0]).digest('base64url');
+  assert.equal(first.params.get('code_challenge'), expectedChallenge);
+});
+
+test('a callback from the starting browser returns the verified claims and link owner', async () => {
+  const login = await startLogin({ linkUserId: 'user-linking' });
+  answerCodeExchangeWith(() => signIdToken({ nonce: login.params.get('nonce') }));
+
+  const result = await oidcService.handleCallback(provider.name, {
+    code: 'auth-code',
+    state: login.state,
+    browserBinding: login.browserBinding
+  });
+
+  assert.equal(result.claims.sub, 'idp-user-1');
+  assert.equal(result.linkUserId, 'user-linking');
+});
+
+test('state is single-use', async () => {
+  const login = await startLogin();
+  answerCodeExchangeWith(() => signIdToken({ nonce: login.params.get('nonce') }));
+  const callback = { code: 'auth-code', state: login.state, browserBinding: login.browserBinding };
+
+  await oidcService.handleCallback(provider.name, callback);
+  await assert.rejects(oidcService.handleCallback(provider.name, callback), /Invalid or expired login state/);
+});
+
+test('unknown state or a state for another provider is rejected', async () => {
+  const login = await startLogin();
+  answerCodeExchangeWith(() => signIdToken({ nonce: login.params.get('nonce') }));
+
+  await assert.rejects(
+    oidcService.handleCallback(provider.name, { code: 'auth-code', state: 'forged', browserBinding: login.browserBinding }),
+    /Invalid or expired login state/
+  );
+  await assert.rejects(
+    oidcService.handleCallback('otheridp', { code: 'auth-code', state: login.state, browserBinding: login.browserBinding }),
+    /Invalid or expired login state/
+  );
+});
+
+test('a callback without the starting browser binding is rejected and burns the state', async () => {
+  const login = await startLogin();
+  const other = await startLogin();
+  answerCodeExchangeWith(() => signIdToken({ nonce: login.params.get('nonce') }));
+
+  await assert.rejects(
+    oidcService.handleCallback(provider.name, { code: 'auth-code', state: login.state, browserBinding: other.browserBinding }),
+    /Invalid or expired login state/
+  );
+  await assert.rejects(
+    oidcService.handleCallback(provider.name, { code: 'auth-code', state: login.state, browserBinding: login.browserBinding }),
+    /Invalid or expired login state/
+  );
+
+  const unbound = await startLogin();
+  await assert.rejects(
+    oidcService.handleCallback(provider.name, { code: 'auth-code', state: unbound.state }),
+    /Invalid or expired login state/
+  );
+
+  assert.equal(exchangedVerifiers.length, 0);
+});
+
+test('an ID token with another nonce is rejected', async () => {
+  const login = await startLogin();
+  const other = await startLogin();
+  answerCodeExchangeWith(() => signIdToken({ nonce: other.params.get('nonce') }));
+
+  await assert.rejects(
+    oidcService.handleCallback(provider.name, { code: 'auth-code', state: login.state, browserBinding: login.browserBinding }),
+    /Invalid ID token/
+  );
+});
+
+test('ID tokens must be signed for this client by the provider', async () => {
+  const nonce = 'expected-nonce';
+  const verify = (idToken) => oidcService.verifyIdToken(provider, metadata, idToken, nonce);
+  const { privateKey: strangerKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  await assert.doesNotReject(verify(signIdToken({ nonce })));
+  await assert.rejects(verify(signIdToken({ nonce }, { audience: 'another-client' })), /Invalid ID token/);
+  await assert.rejects(verify(signIdToken({ nonce }, { issuer: 'https://evil.example.com' })), /Invalid ID token/);
+  await assert.rejects(verify(signIdToken({ nonce }, { key: strangerKey })), /Invalid ID token/);
+  await assert.rejects(verify(signIdToken({})), /Invalid ID token/);
+  await assert.rejects(verify('not-a-jwt'), /Invalid ID token/);
+});
+
+test('HS256 ID tokens are only accepted with the client secret', async () => {
+  const nonce = 'expected-nonce';
+  const idToken = signIdToken({ nonce }, { algorithm: 'HS256', key: provider.clientSecret });
+
+  await assert.doesNotReject(oidcService.verifyIdToken(provider, metadata, idToken, nonce));
+  await assert.rejects(
+    oidcService.verifyIdToken({ ...provider, clientSecret: undefined }, metadata, idToken, nonce),
+    /Invalid ID token/
+  );
+  await assert.rejects(
+    oidcService.verifyIdToken(provider, metadata, signIdToken({ nonce }, { algorithm: 'HS256', key: 'guessed' }), nonce),
+    /Invalid ID token/
+  );
+});
@@ -0,0 +1,153 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const friendService = require('../services/friendService');
+const blockService = require('../services/blockService');
+const profileVisibilityService = require('../services/profileVisibilityService');
+const userService = require('../services/userService');
+
+const VIEWER_ID = 'viewer';
+const FRIEND_ID = 'friend';
+const STRANGER_ID = 'stranger';
+const BLOCKED_ID = 'blocked';
+
+const buildUser = (id, profileVisibility) => ({
+  _id: id,
+  username: `${id}-name`,
+  avatar: `${id}.png`,
+  email: `${id}@example.com`,
+  bio: `About ${id}`,
+  preferences: { privacy: { profileVisibility } }
+});
+
+const context = {
+  viewerId: VIEWER_ID,
+  friendIds: new Set([FRIEND_ID]),
+  hiddenIds: new Set([BLOCKED_ID])
+};
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('access follows the visibility matrix', () => {
+  const expected = {
+    public: { owner: 'full', friend: 'full', others: 'full' },
+    friends: { owner: 'full', friend: 'full', others: 'limited' },
+    private: { owner: 'full', friend: 'limited', others: 'denied' }
+  };
+
+  for (const [visibility, byViewer] of Object.entries(expected)) {
+    assert.equal(profileVisibilityService.resolveAccess(buildUser(VIEWER_ID, visibility), context), byViewer.owner, visibility);
+    assert.equal(profileVisibilityService.resolveAccess(buildUser(FRIEND_ID, visibility), context), byViewer.friend, visibility);
+    assert.equal(profileVisibilityService.resolveAccess(buildUser(STRANGER_ID, visibility), context), byViewer.others, visibility);
+  }
+});
+
+test('profiles without a visibility setting are public', () => {
+  const { preferences, ...user } = buildUser(STRANGER_ID);
+  assert.equal(profileVisibilityService.resolveAccess(user, context), 'full');
+});
+
+test('blocking denies access even to public profiles', () => {
+  assert.equal(profileVisibilityService.resolveAccess(buildUser(BLOCKED_ID, 'public'), context), 'denied');
+});
+
+test('anonymous viewers only see public profiles in full', async () => {
+  assert.equal(await profileVisibilityService.getAccess(buildUser(STRANGER_ID, 'public'), null), 'full');
+  assert.equal(await profileVisibilityService.getAccess(buildUser(STRANGER_ID, 'friends'), null), 'limited');
+  assert.equal(await profileVisibilityService.getAccess(buildUser(STRANGER_ID, 'private'), null), 'denied');
+});
+
+test('user references are reduced to a card unless fully visible', () => {
+  const visible = profileVisibilityService.toReference(buildUser(STRANGER_ID, 'public'), context);
+  assert.equal(visible.bio, `About ${STRANGER_ID}`);
+  assert.equal(visible.preferences, undefined);
+
+  for (const user of [buildUser(STRANGER_ID, 'friends'), buildUser(STRANGER_ID, 'private'), buildUser(BLOCKED_ID, 'public')]) {
+    assert.deepEqual(profileVisibilityService.toReference(user, context), {
+      _id: user._id,
+      username: user.username,
+      avatar: user.avatar
+    });
+  }
+
+  assert.equal(profileVisibilityService.toReference('unpopulated-id', context), 'unpopulated-id');
+});
+
+test('journeys filter their creator, collaborators and comment authors', () => {
+  const journey = {
+    title: 'Alps',
+    creator: buildUser(STRANGER_ID, 'private'),
+    collaborators: [{ role: 'editor', user: buildUser(FRIEND_ID, 'friends') }],
+    comments: [{ text: 'Nice', user: buildUser(BLOCKED_ID, 'public') }]
+  };
+
+  const filtered = profileVisibilityService.filterJourney(journey, context);
+
+  assert.equal(filtered.title, 'Alps');
+  assert.equal(filtered.creator.email, undefined);
+  assert.equal(filtered.creator.username, `${STRANGER_ID}-name`);
+  assert.equal(filtered.collaborators[0].user.bio, `About ${FRIEND_ID}`);
+  assert.equal(filtered.collaborators[0].role, 'editor');
+  assert.equal(filtered.comments[0].user.bio, undefined);
+  assert.equal(filtered.comments[0].text, 'Nice');
+});
+
+test('user lists leave out denied users', async () => {
+  mock.method(friendService, 'getFriendIds', async () => [FRIEND_ID]);
+  mock.method(blockService, 'getHiddenUserIds', async () => [BLOCKED_ID]);
+
+  const users = await profileVisibilityService.applyToUsers([
+    buildUser(FRIEND_ID, 'private'),
+    buildUser(STRANGER_ID, 'private'),
+    buildUser(BLOCKED_ID, 'public'),
+    buildUser('other', 'friends')
+  ], VIEWER_ID);
+
+  assert.deepEqual(users.map(user => user._id), [FRIEND_ID, 'other']);
+  assert.ok(users.every(user => user.email === undefined));
+});
+
+test('a full profile seen by someone else has no private fields', async () => {
+  mock.method(friendService, 'getFriendIds', async () => []);
+  mock.method(blockService, 'getHiddenUserIds', async () => []);
+  mock.method(userService, 'getUserProfile', async () => ({
+    ...buildUser(STRANGER_ID, 'public'),
+    firstName: 'Sam',
+    role: 'user',
+    twoFactorEnabled: true,
+    badges: [],
+    travelProfile: {
+      homeCity: { name: 'Lyon', country: 'FR', coordinates: { latitude: 45.76, longitude: 4.83 } },
+      languages: ['fr'],
+      travelStyles: ['hiking'],
+      budget: { min: 500, max: 1500, currency: 'EUR' },
+      dietaryNeeds: ['vegan'],
+      accessibilityNeeds: ['step-free']
+    }
+  }));
+
+  const { access, profile } = await userService.getProfileForViewer(STRANGER_ID, VIEWER_ID);
+
+  assert.equal(access, 'full');
+  assert.equal(profile.firstName, 'Sam');
+  for (const field of ['email', 'role', 'preferences', 'twoFactorEnabled']) {
+    assert.equal(profile[field], undefined, field);
+  }
+  assert.deepEqual(profile.travelProfile, {
+    homeCity: { name: 'Lyon', country: 'FR' },
+    languages: ['fr'],
+    travelStyles: ['hiking']
+  });
+});
+
+test('owners see their own profile in full', async () => {
+  mock.method(friendService, 'getFriendIds', async () => []);
+  mock.method(blockService, 'getHiddenUserIds', async () => []);
+  mock.method(userService, 'getUserProfile', async () => ({ ...buildUser(VIEWER_ID, 'private'), badges: [] }));
+
+  const { access, profile } = await userService.getProfileForViewer(VIEWER_ID, VIEWER_ID);
+
+  assert.equal(access, 'full');
+  assert.equal(profile.email, `${VIEWER_ID}@example.com`);
+});
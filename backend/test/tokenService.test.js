@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { jwtSecret } = require('../config/config');
+const tokenService = require('../services/tokenService');
+
+// Without a Redis connection the revocation store falls back to process memory
+
+test('access tokens verify until they are revoked individually', async () => {
+  const { token } = tokenService.issueTokenPair('user-single');
+
+  const decoded = await tokenService.verifyAccessToken(token);
+  assert.equal(decoded.userId, 'user-single');
+
+  await tokenService.revokeToken(decoded);
+  await assert.rejects(tokenService.verifyAccessToken(token), /Token has been revoked/);
+});
+
+test('refresh tokens are rejected as access tokens', async () => {
+  const { refreshToken } = tokenService.issueTokenPair('user-type');
+  await assert.rejects(tokenService.verifyAccessToken(refreshToken), /Invalid token type/);
+});
+
+test('revoking a user invalidates earlier tokens but not ones issued right after', async () => {
+  const before = tokenService.issueTokenPair('user-all');
+
+  await tokenService.revokeAllForUser('user-all');
+  const after = tokenService.issueTokenPair('user-all');
+
+  await assert.rejects(tokenService.verifyAccessToken(before.token), /Token has been revoked/);
+  await assert.doesNotReject(tokenService.verifyAccessToken(after.token));
+});
+
+test('tokens without iatMs are revoked for the whole second they were issued in', async () => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const legacy = jwt.sign(
+    { userId: 'user-legacy', type: 'access', jti: 'legacy-jti', iat: issuedAt },
+    jwtSecret,
+    { expiresIn: 900 }
+  );
+
+  await tokenService.revokeAllForUser('user-legacy');
+  await assert.rejects(tokenService.verifyAccessToken(legacy), /Token has been revoked/);
+});
+
+test('revoking a session invalidates only the tokens bound to it', async () => {
+  const sessionTokens = tokenService.issueTokenPair('user-session', 'session-a');
+  const otherTokens = tokenService.issueTokenPair('user-session', 'session-b');
+
+  await tokenService.revokeSession('user-session', 'session-a');
+
+  await assert.rejects(tokenService.verifyAccessToken(sessionTokens.token), /Token has been revoked/);
+  await assert.doesNotReject(tokenService.verifyAccessToken(otherTokens.token));
+});
+
+test('rotating a refresh token keeps the session and retires the old token', async () => {
+  const { refreshToken } = tokenService.issueTokenPair('user-rotate', 'session-rotate');
+
+  const rotated = await tokenService.rotateRefreshToken(refreshToken);
+  assert.equal(rotated.userId, 'user-rotate');
+  assert.equal(rotated.sessionId, 'session-rotate');
+  await assert.doesNotReject(tokenService.verifyAccessToken(rotated.token));
+
+  // Replaying the retired token revokes everything issued so far
+  await assert.rejects(tokenService.rotateRefreshToken(refreshToken), /Refresh token has been revoked/);
+  await assert.rejects(tokenService.verifyAccessToken(rotated.token), /Token has been revoked/);
+  await assert.rejects(tokenService.rotateRefreshToken(rotated.refreshToken), /Refresh token has been revoked/);
+});
+
+test('revocations are announced to local listeners', async () => {
+  const events = [];
+  const listener = (payload) => events.push(payload);
+  tokenService.on('revoked', listener);
+
+  await tokenService.revokeSession('user-events', 'session-events');
+  tokenService.off('revoked', listener);
+
+  assert.deepEqual(events, [{ userId: 'user-events', sessionId: 'session-events' }]);
+});
@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const twoFactorService = require('../services/twoFactorService');
+const tokenService = require('../services/tokenService');
+const { loginProtection } = require('../config/config');
+
+// Base32 of the ASCII secret "12345678901234567890" from RFC 6238 appendix B
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const buildUser = (id, recoveryCodes = []) => ({
+  _id: id,
+  twoFactorEnabled: true,
+  twoFactorSecret: totp.generateSecret(),
+  twoFactorRecoveryCodes: recoveryCodes.map(code =>
+    crypto.createHash('sha256').update(code.replace(/-/g, '')).digest('hex')
+  ),
+  saves: 0,
+  async save() {
+    this.saves += 1;
+  }
+});
+
+// A six-digit code the user's authenticator is not showing right now
+const wrongCode = (user) => ['000000', '111111'].find(code => totp.verifyCode(user.twoFactorSecret, code) === null);
+
+test('TOTP codes match the RFC 6238 SHA-1 test vectors', () => {
+  assert.equal(totp.generateCode(RFC_SECRET, Math.floor(59 / 30)), '287082');
+  assert.equal(totp.generateCode(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+  assert.equal(totp.generateCode(RFC_SECRET, Math.floor(1234567890 / 30)), '005924');
+});
+
+test('TOTP verification allows one step of drift and returns the matched step', () => {
+  const timestamp = 1234567890 * 1000;
+  const step = Math.floor(1234567890 / 30);
+
+  assert.equal(totp.verifyCode(RFC_SECRET, '005924', 1, timestamp), step);
+  assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), 1, timestamp), step - 1);
+  assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2), 1, timestamp), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, '12345', 1, timestamp), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, 'abcdef', 1, timestamp), null);
+});
+
+test('a TOTP code is accepted only once, even when checked concurrently', async () => {
+  const user = buildUser('user-totp-replay');
+  const code = totp.generateCode(user.twoFactorSecret);
+
+  const results = await Promise.all([
+    twoFactorService.verifyUserCode(user, code),
+    twoFactorService.verifyUserCode(user, code)
+  ]);
+
+  assert.deepEqual(results.sort(), [false, true]);
+  assert.equal(await twoFactorService.verifyUserCode(user, code), false);
+});
+
+test('recovery codes are single-use and ignore case and dashes', async () => {
+  const [first, second] = twoFactorService.generateRecoveryCodes();
+  const user = buildUser('user-recovery', [first, second]);
+
+  assert.equal(await twoFactorService.verifyUserCode(user, first.replace('-', '').toUpperCase()), true);
+  assert.equal(user.twoFactorRecoveryCodes.length, 1);
+  assert.equal(user.saves, 1);
+
+  assert.equal(await twoFactorService.verifyUserCode(user, first), false);
+  assert.equal(await twoFactorService.verifyUserCode(user, second), true);
+  assert.equal(await twoFactorService.verifyUserCode(user, 'not-a-code'), false);
+});
+
+test('a login challenge is spent by the correct code', async () => {
+  const user = buildUser('user-challenge-ok');
+  const decoded = tokenService.verifyPurposeToken(twoFactorService.createLoginChallenge(user._id), '2fa_challenge');
+
+  assert.equal(await twoFactorService.verifyChallengeCode(decoded, user, totp.generateCode(user.twoFactorSecret)), true);
+  assert.equal(await tokenService.isRevoked(decoded), true);
+});
+
+test('a login challenge is revoked after too many wrong codes', async () => {
+  const user = buildUser('user-challenge-fail');
+  const decoded = tokenService.verifyPurposeToken(twoFactorService.createLoginChallenge(user._id), '2fa_challenge');
+  const code = wrongCode(user);
+
+  for (let attempt = 1; attempt < loginProtection.maxChallengeFailures; attempt++) {
+    assert.equal(await twoFactorService.verifyChallengeCode(decoded, user, code), false);
+    assert.equal(await tokenService.isRevoked(decoded), false);
+  }
+
+  assert.equal(await twoFactorService.verifyChallengeCode(decoded, user, code), false);
+  assert.equal(await tokenService.isRevoked(decoded), true);
+});
@@ -0,0 +1,91 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const Upload = require('../models/uploadModel');
+const storageService = require('../services/storageService');
+const uploadService = require('../services/uploadService');
+
+const context = { owner: 'user-1', purpose: 'journey_photo', journey: 'journey-1' };
+
+const createImage = (format) =>
+  sharp({ create: { width: 40, height: 30, channels: 3, background: '#3366aa' } })[format]().toBuffer();
+
+let saved;
+let deleted;
+
+// Storage and the Upload model are replaced so nothing touches disk or MongoDB
+beforeEach(() => {
+  saved = [];
+  deleted = [];
+  mock.method(storageService, 'save', async (file) => {
+    saved.push(file);
+    return { storage: 'memory', key: `key-${saved.length}`, url: `/files/key-${saved.length}` };
+  });
+  mock.method(storageService, 'delete', async (storage, key) => {
+    deleted.push(key);
+  });
+  mock.method(Upload, 'create', async (fields) => fields);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+for (const [format, mimeType, extension] of [
+  ['jpeg', 'image/jpeg', 'jpg'],
+  ['png', 'image/png', 'png'],
+  ['webp', 'image/webp', 'webp'],
+  ['gif', 'image/gif', 'gif']
+]) {
+  test(`${format} content is detected and stored as ${mimeType}`, async () => {
+    const buffer = await createImage(format);
+
+    const upload = await uploadService.storeImage({ buffer, mimetype: 'image/jpeg', originalname: 'photo.jpg' }, context);
+
+    assert.equal(upload.mimeType, mimeType);
+    assert.equal(saved[0].extension, extension);
+    assert.deepEqual(upload.variants.map(variant => variant.name), ['thumbnail', 'medium', 'large']);
+  });
+}
+
+test('the declared MIME type and file name are not trusted', async () => {
+  const files = [
+    { buffer: Buffer.from('<html><script>alert(1)</script></html>'), mimetype: 'image/png', originalname: 'cat.png' },
+    { buffer: Buffer.from('%PDF-1.7\n%âãÏÓ\n1 0 obj'), mimetype: 'image/jpeg', originalname: 'scan.jpg' },
+    { buffer: Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'), mimetype: 'image/svg+xml', originalname: 'logo.svg' },
+    { buffer: Buffer.from([0xff, 0xd8, 0xff]), mimetype: 'image/jpeg', originalname: 'short.jpg' },
+    { buffer: Buffer.alloc(0), mimetype: 'image/jpeg', originalname: 'empty.jpg' }
+  ];
+
+  for (const file of files) {
+    await assert.rejects(uploadService.storeImage(file, context), /File content is not a supported image/);
+  }
+  assert.equal(saved.length, 0);
+});
+
+test('a file with image magic bytes but no decodable image is rejected', async () => {
+  const buffer = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    Buffer.from('this is not really a png')
+  ]);
+
+  await assert.rejects(
+    uploadService.storeImage({ buffer, mimetype: 'image/png', originalname: 'fake.png' }, context),
+    /File content is not a supported image/
+  );
+  assert.equal(saved.length, 0);
+});
+
+test('stored files are removed again when recording the upload fails', async () => {
+  const buffer = await createImage('png');
+  Upload.create.mock.mockImplementation(async () => {
+    throw new Error('database unavailable');
+  });
+
+  await assert.rejects(
+    uploadService.storeImage({ buffer, mimetype: 'image/png', originalname: 'photo.png' }, context),
+    /database unavailable/
+  );
+  assert.equal(saved.length, 4);
+  assert.deepEqual(deleted.sort(), ['key-1', 'key-2', 'key-3', 'key-4']);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { crc32, createZip } = require('../utils/zipUtils');
+
+// Read entries back through the central directory, the way unzip tools do
+const readZip = (archive) => {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50);
+
+  const count = archive.readUInt16LE(end + 10);
+  let offset = archive.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(offset), 0x02014b50);
+    const checksum = archive.readUInt32LE(offset + 16);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.subarray(offset + 46, offset + 46 + nameLength).toString('utf8');
+
+    const localNameLength = archive.readUInt16LE(localOffset + 26);
+    const dataStart = localOffset + 30 + localNameLength;
+    const content = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+
+    entries.push({ name, content: content.toString('utf8'), checksum });
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('archives hold every file with its name, content and checksum', () => {
+  const files = [
+    { name: 'profile.json', content: JSON.stringify({ username: 'zoé' }) },
+    { name: 'journeys/été.json', content: Buffer.from('[]') },
+    { name: 'empty.json', content: '' }
+  ];
+
+  const entries = readZip(createZip(files, new Date(2026, 0, 15, 10, 30)));
+
+  assert.deepEqual(entries.map(entry => entry.name), files.map(file => file.name));
+  entries.forEach((entry, index) => {
+    const expected = String(files[index].content);
+    assert.equal(entry.content, expected);
+    assert.equal(entry.checksum, crc32(Buffer.from(expected)));
+  });
+});
+
+test('an archive without files is still a valid empty ZIP', () => {
+  const archive = createZip([]);
+  assert.equal(archive.length, 22);
+  assert.deepEqual(readZip(archive), []);
+});
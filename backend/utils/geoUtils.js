@@ -0,0 +1,175 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// True for a { latitude, longitude } pair within valid ranges
+const isValidCoordinates = (coordinates) => Boolean(coordinates) &&
+  Number.isFinite(coordinates.latitude) && Number.isFinite(coordinates.longitude) &&
+  Math.abs(coordinates.latitude) <= 90 && Math.abs(coordinates.longitude) <= 180;
+
+// Great-circle distance in kilometres between two { latitude, longitude } points
+const haversineDistance = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// GeoJSON Point for a { latitude, longitude } pair; GeoJSON positions are [longitude, latitude]
+const toGeoPoint = ({ latitude, longitude }) => ({ type: 'Point', coordinates: [longitude, latitude] });
+
+const isValidGeoPoint = (point) => Boolean(point) && point.type === 'Point' &&
+  Array.isArray(point.coordinates) && point.coordinates.length === 2 &&
+  isValidCoordinates({ longitude: point.coordinates[0], latitude: point.coordinates[1] });
+
+// { latitude, longitude } of a GeoJSON Point, or null when it is missing or invalid
+const fromGeoPoint = (point) => (isValidGeoPoint(point)
+  ? { latitude: point.coordinates[1], longitude: point.coordinates[0] }
+  : null);
+
+// Accepts a GeoJSON Point or the older { latitude, longitude } form
+const normalizeGeoPoint = (value) => {
+  if (value && value.type === undefined && value.latitude !== undefined && value.longitude !== undefined) {
+    return toGeoPoint(value);
+  }
+  return value;
+};
+
+// "minLng,minLat,maxLng,maxLat" (GeoJSON bbox order), or null when malformed.
+// minLng > maxLng is a box that crosses the antimeridian.
+const parseBoundingBox = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const parts = value.split(',').map(part => Number(part.trim()));
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (!isValidCoordinates({ latitude: minLat, longitude: minLng }) ||
+      !isValidCoordinates({ latitude: maxLat, longitude: maxLng })) return null;
+  if (minLat >= maxLat || minLng === maxLng) return null;
+
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+const isInBoundingBox = ({ latitude, longitude }, bbox) => {
+  if (latitude < bbox.minLat || latitude > bbox.maxLat) return false;
+  return bbox.minLng <= bbox.maxLng
+    ? longitude >= bbox.minLng && longitude <= bbox.maxLng
+    : longitude >= bbox.minLng || longitude <= bbox.maxLng;
+};
+
+const boundingBoxCenter = (bbox) => {
+  const width = bbox.minLng <= bbox.maxLng ? bbox.maxLng - bbox.minLng : bbox.maxLng + 360 - bbox.minLng;
+  const longitude = bbox.minLng + width / 2;
+  return {
+    latitude: (bbox.minLat + bbox.maxLat) / 2,
+    longitude: longitude > 180 ? longitude - 360 : longitude
+  };
+};
+
+// GeoJSON polygons covering a bounding box. Polygon edges are great circles, so
+// the edges get a vertex every few degrees to follow the parallels, and the box
+// is split into pieces at most 90 degrees wide (and at the antimeridian).
+// Matches are approximate at the edges; callers re-check with isInBoundingBox.
+const boundingBoxToPolygons = (bbox, stepDegrees = 5) => {
+  const ranges = bbox.minLng <= bbox.maxLng
+    ? [[bbox.minLng, bbox.maxLng]]
+    : [[bbox.minLng, 180], [-180, bbox.maxLng]];
+
+  // Loops through a pole are not valid, so stop just short of it
+  const south = Math.max(bbox.minLat, -89.999);
+  const north = Math.min(bbox.maxLat, 89.999);
+
+  const pieces = [];
+  for (const [west, east] of ranges) {
+    const count = Math.ceil((east - west) / 90);
+    const width = (east - west) / count;
+    for (let i = 0; i < count; i++) {
+      pieces.push([west + i * width, west + (i + 1) * width]);
+    }
+  }
+
+  return pieces.map(([west, east]) => {
+    const steps = Math.max(1, Math.ceil((east - west) / stepDegrees));
+    const southEdge = [];
+    for (let i = 0; i <= steps; i++) {
+      southEdge.push([west + (east - west) * i / steps, south]);
+    }
+    const northEdge = southEdge.map(([longitude]) => [longitude, north]).reverse();
+
+    return {
+      type: 'Polygon',
+      coordinates: [[...southEdge, ...northEdge, [west, south]]]
+    };
+  });
+};
+
+// Web map (XYZ) tiles use the Web Mercator projection, which stops at this latitude
+const MAX_MERCATOR_LATITUDE = 85.05112878;
+
+const lngToTileX = (longitude, zoom) => {
+  const tiles = 2 ** zoom;
+  return Math.min(Math.floor((longitude + 180) / 360 * tiles), tiles - 1);
+};
+
+const latToTileY = (latitude, zoom) => {
+  const tiles = 2 ** zoom;
+  const clamped = Math.max(Math.min(latitude, MAX_MERCATOR_LATITUDE), -MAX_MERCATOR_LATITUDE);
+  const radians = toRadians(clamped);
+  const y = (1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * tiles;
+  return Math.min(Math.max(Math.floor(y), 0), tiles - 1);
+};
+
+const tileToLatitude = (y, zoom) => {
+  const n = Math.PI * (1 - 2 * y / 2 ** zoom);
+  return Math.atan(Math.sinh(n)) * 180 / Math.PI;
+};
+
+// Bounding box of tile x/y at a zoom level
+const tileBounds = (x, y, zoom) => ({
+  minLng: x / 2 ** zoom * 360 - 180,
+  minLat: tileToLatitude(y + 1, zoom),
+  maxLng: (x + 1) / 2 ** zoom * 360 - 180,
+  maxLat: tileToLatitude(y, zoom)
+});
+
+// Tiles at a zoom level that cover a bounding box, including boxes across the antimeridian
+const tilesForBoundingBox = (bbox, zoom) => {
+  const tiles = 2 ** zoom;
+  const west = lngToTileX(bbox.minLng, zoom);
+  const east = lngToTileX(bbox.maxLng, zoom);
+  // A box across the antimeridian with both edges in one column wraps around the world
+  const wrapsAround = bbox.minLng > bbox.maxLng && west === east;
+
+  const columns = [];
+  for (let x = west; ; x = (x + 1) % tiles) {
+    columns.push(x);
+    if ((x === east && !(wrapsAround && columns.length === 1)) || columns.length === tiles) break;
+  }
+
+  const result = [];
+  for (let y = latToTileY(bbox.maxLat, zoom); y <= latToTileY(bbox.minLat, zoom); y++) {
+    columns.forEach(x => result.push({ x, y }));
+  }
+  return result;
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  MAX_MERCATOR_LATITUDE,
+  isValidCoordinates,
+  haversineDistance,
+  toGeoPoint,
+  isValidGeoPoint,
+  fromGeoPoint,
+  normalizeGeoPoint,
+  parseBoundingBox,
+  isInBoundingBox,
+  boundingBoxCenter,
+  boundingBoxToPolygons,
+  lngToTileX,
+  latToTileY,
+  tileBounds,
+  tilesForBoundingBox
+};
@@ -103,6 +103,115 @@ const deleteCachePattern = async (pattern) => {
   }
 };
 
+// Key-value utilities with in-process fallback.
+// Unlike the cache helpers above, these back security state (token revocation,
+// counters) that must keep working when Redis is unavailable.
+const memoryStore = new Map(); // key -> { value, expiresAt }
+
+const isClientReady = () => Boolean(client && client.isReady);
+
+const readMemoryEntry = (key) => {
+  const entry = memoryStore.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return entry;
+};
+
+const setKey = async (key, value, expireInSeconds = 3600) => {
+  if (isClientReady()) {
+    try {
+      await client.setEx(key, expireInSeconds, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      console.error('Redis setKey error, using in-process store:', error);
+    }
+  }
+  memoryStore.set(key, { value, expiresAt: Date.now() + expireInSeconds * 1000 });
+  return true;
+};
+
+// Set a key only if it does not exist yet (SET NX); returns whether it was set.
+// Lets concurrent requests agree on who claimed something first.
+const setKeyIfAbsent = async (key, value, expireInSeconds = 3600) => {
+  if (isClientReady()) {
+    try {
+      const result = await client.set(key, JSON.stringify(value), { NX: true, EX: expireInSeconds });
+      return result === 'OK';
+    } catch (error) {
+      console.error('Redis setKeyIfAbsent error, using in-process store:', error);
+    }
+  }
+  if (readMemoryEntry(key)) return false;
+  memoryStore.set(key, { value, expiresAt: Date.now() + expireInSeconds * 1000 });
+  return true;
+};
+
+const getKey = async (key) => {
+  if (isClientReady()) {
+    try {
+      const value = await client.get(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      console.error('Redis getKey error, using in-process store:', error);
+    }
+  }
+  const entry = readMemoryEntry(key);
+  return entry ? entry.value : null;
+};
+
+const deleteKey = async (key) => {
+  memoryStore.delete(key);
+  if (isClientReady()) {
+    try {
+      await client.del(key);
+    } catch (error) {
+      console.error('Redis deleteKey error:', error);
+    }
+  }
+  return true;
+};
+
+// Increment a counter, starting its expiry window on the first hit; returns the new count
+const incrementKey = async (key, expireInSeconds = 3600) => {
+  if (isClientReady()) {
+    try {
+      // The key is created with its expiry before it is incremented, so a
+      // counter can never be left behind without one
+      const [, count] = await client.multi()
+        .set(key, '0', { NX: true, EX: expireInSeconds })
+        .incr(key)
+        .exec();
+      return Number(count);
+    } catch (error) {
+      console.error('Redis incrementKey error, using in-process store:', error);
+    }
+  }
+  const entry = readMemoryEntry(key);
+  if (entry) {
+    entry.value += 1;
+    return entry.value;
+  }
+  memoryStore.set(key, { value: 1, expiresAt: Date.now() + expireInSeconds * 1000 });
+  return 1;
+};
+
+// Seconds until a key expires, or 0 when it does not exist
+const getKeyTtl = async (key) => {
+  if (isClientReady()) {
+    try {
+      const ttl = await client.ttl(key);
+      return ttl > 0 ? ttl : 0;
+    } catch (error) {
+      console.error('Redis getKeyTtl error, using in-process store:', error);
+    }
+  }
+  const entry = readMemoryEntry(key);
+  return entry ? Math.ceil((entry.expiresAt - Date.now()) / 1000) : 0;
+};
+
 // Pub/Sub utilities for chat scaling
 const publishMessage = async (channel, message) => {
   if (!client) return false;
@@ -142,6 +251,12 @@ module.exports = {
   getCache,
   deleteCache,
   deleteCachePattern,
+  setKey,
+  setKeyIfAbsent,
+  getKey,
+  deleteKey,
+  incrementKey,
+  getKeyTtl,
   publishMessage,
   subscribeToChannel
 };
@@ -0,0 +1,23 @@
+// Escape user input so it can be embedded in a RegExp as a literal string
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Opaque pagination cursors: the sort position of the last item, as base64url JSON
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!position || typeof position !== 'object' || Array.isArray(position)) {
+      throw new Error('Invalid cursor');
+    }
+    return position;
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+};
+
+module.exports = {
+  escapeRegex,
+  encodeCursor,
+  decodeCursor
+};